@@ -0,0 +1,263 @@
+const fs = require("fs");
+const { matchRecords, webhookAllowed } = require("./watchlists");
+const { postJson, sendMail } = require("./notifiers");
+const { logger } = require("./logger");
+const { createJsonFile } = require("./jsonFile");
+
+const log = logger.child({ module: "alerts" });
+
+// Scheduled watchlist alerts. Each run pulls recent recalls, keeps the ones whose
+// IDs are not in the persisted seen-set, and sends every watchlist its matches
+// through its webhook and/or email. The first run only records what is already
+// published, so enabling alerts does not replay the whole lookback window.
+// Matches a channel (webhook or email) failed to deliver are kept per watchlist and
+// channel, and sent again through that channel only on the next run, while the
+// recall is still in the lookback window.
+
+// Fields sent for each matched recall
+const ALERT_FIELDS = [
+  "id",
+  "type",
+  "recall_number",
+  "event_id",
+  "report_date",
+  "classification",
+  "product_description",
+  "recalling_firm",
+  "reason_for_recall",
+  "hazard_categories",
+  "allergens",
+  "city",
+  "state",
+  "distribution_states",
+];
+// Delivery channels; a failure is retried on its own channel only
+const CHANNELS = ["webhook", "email"];
+// Seen IDs older than this are forgotten; they have left the lookback window
+const SEEN_RETENTION_MS = 400 * 24 * 60 * 60 * 1000;
+
+function alertRecord(rec) {
+  const out = {};
+  ALERT_FIELDS.forEach((f) => {
+    out[f] = rec[f] === undefined ? null : rec[f];
+  });
+  return out;
+}
+
+function emailText(watchlist, recalls) {
+  const lines = recalls.map((r) => {
+    const meta = [r.recalling_firm, r.classification, r.recall_number]
+      .filter(Boolean)
+      .join(" | ");
+    return [
+      `* ${r.product_description || "Unnamed product"}`,
+      meta ? `  ${meta}` : null,
+      r.reason_for_recall ? `  ${r.reason_for_recall}` : null,
+    ]
+      .filter(Boolean)
+      .join("\n");
+  });
+  return `${recalls.length} new recall(s) match the watchlist "${
+    watchlist.name
+  }".\n\n${lines.join("\n\n")}\n`;
+}
+
+// options: { store, seenFile, loadRecent: () => Promise<records>, webhookUrl,
+// webhookHosts: [], smtp: { host, port, from } | null, defaultEmails: [] }
+function createAlertJob(options) {
+  const { store, seenFile, loadRecent } = options;
+  // recall id -> ISO time first seen
+  let seen = new Map();
+  // watchlist id -> { webhook, email }: recall ids that channel failed to deliver
+  let retry = new Map();
+  let primed = false;
+  let running = null;
+
+  function load() {
+    if (!seenFile) return;
+    try {
+      const raw = JSON.parse(fs.readFileSync(seenFile, "utf8"));
+      seen = new Map(Object.entries((raw && raw.seen) || {}));
+      retry = new Map(Object.entries((raw && raw.retry) || {}));
+      primed = Boolean(raw && raw.primed_at);
+      log.info("Alert seen-set loaded", { ids: seen.size, file: seenFile });
+    } catch (e) {
+      if (e.code !== "ENOENT") {
+        log.warn("Alert seen-set load failed", { file: seenFile, err: e });
+      }
+    }
+  }
+
+  const seenStore = createJsonFile({
+    file: seenFile,
+    label: "Alert seen-set",
+    log,
+    snapshot: () => ({
+      version: 1,
+      primed_at: primed ? new Date().toISOString() : null,
+      seen: Object.fromEntries(seen),
+      retry: Object.fromEntries(retry),
+    }),
+  });
+
+  // Forget ids past the retention window, then persist
+  function save() {
+    const cutoff = Date.now() - SEEN_RETENTION_MS;
+    seen.forEach((at, id) => {
+      if (Date.parse(at) < cutoff) seen.delete(id);
+    });
+    return seenStore.save();
+  }
+
+  // Deliver one watchlist's matches, each channel its own batch: `batches` is
+  // { webhook, email } (either may be empty). Returns [{ channel, error }] for the
+  // channels that failed.
+  async function deliver(watchlist, batches, matchedAt) {
+    const failures = [];
+    const fail = (channel, err) =>
+      failures.push({
+        channel,
+        error: String(err && err.message ? err.message : err),
+      });
+    let webhookUrl = watchlist.webhook_url || options.webhookUrl;
+    // checked again here: the allowlist may have shrunk since the watchlist was saved
+    if (
+      watchlist.webhook_url &&
+      !webhookAllowed(watchlist.webhook_url, options.webhookHosts)
+    ) {
+      if (batches.webhook.length)
+        fail("webhook", "host not in ALERT_WEBHOOK_HOSTS");
+      webhookUrl = null;
+    }
+    if (webhookUrl && batches.webhook.length) {
+      try {
+        await postJson(webhookUrl, {
+          watchlist: { id: watchlist.id, name: watchlist.name },
+          matched_at: matchedAt,
+          count: batches.webhook.length,
+          recalls: batches.webhook.map(alertRecord),
+        });
+      } catch (err) {
+        fail("webhook", err);
+      }
+    }
+    const emails =
+      watchlist.emails && watchlist.emails.length
+        ? watchlist.emails
+        : options.defaultEmails || [];
+    const mail = batches.email;
+    if (options.smtp && emails.length && mail.length) {
+      try {
+        await sendMail({
+          ...options.smtp,
+          to: emails,
+          subject: `[Hazard Atlas] ${mail.length} new recall(s): ${watchlist.name}`,
+          text: emailText(watchlist, mail),
+        });
+      } catch (err) {
+        fail("email", err);
+      }
+    }
+    return failures;
+  }
+
+  async function runOnce() {
+    const records = await loadRecent();
+    const now = new Date().toISOString();
+    const fresh = records.filter((r) => !seen.has(r.id));
+
+    const summary = { checked: records.length, new: fresh.length, alerts: [] };
+    if (!primed) {
+      // first run: remember what is already out, alert from the next run on
+      fresh.forEach((r) => seen.set(r.id, now));
+      primed = true;
+      summary.primed = true;
+      await save();
+      return summary;
+    }
+
+    const watchlists = store.list();
+    // drop retries for deleted watchlists
+    retry.forEach((channels, id) => {
+      if (!watchlists.some((w) => w.id === id)) retry.delete(id);
+    });
+    for (const watchlist of watchlists) {
+      const pending = retry.get(watchlist.id) || {};
+      const fromFresh = matchRecords(watchlist, fresh);
+      // each channel gets the fresh matches plus the ones it failed to deliver
+      const batches = {};
+      CHANNELS.forEach((channel) => {
+        const ids = pending[channel] || [];
+        batches[channel] = fromFresh.concat(
+          matchRecords(
+            watchlist,
+            records.filter((r) => ids.includes(r.id) && seen.has(r.id))
+          )
+        );
+      });
+      const matched = new Set(
+        [].concat(...CHANNELS.map((c) => batches[c])).map((r) => r.id)
+      );
+      if (!matched.size) {
+        retry.delete(watchlist.id);
+        continue;
+      }
+      const failures = await deliver(watchlist, batches, now);
+      const failed = {};
+      failures.forEach(({ channel }) => {
+        failed[channel] = batches[channel].map((r) => r.id);
+      });
+      if (failures.length) retry.set(watchlist.id, failed);
+      else retry.delete(watchlist.id);
+      const errors = failures.map((f) => `${f.channel}: ${f.error}`);
+      store.update(watchlist.id, {
+        last_alert_at: now,
+        last_alert_count: matched.size,
+        last_error: errors.length ? errors.join("; ") : null,
+      });
+      if (errors.length)
+        log.warn("Alert delivery failed", {
+          watchlist: watchlist.id,
+          name: watchlist.name,
+          failures: errors,
+        });
+      summary.alerts.push({
+        watchlist: watchlist.id,
+        name: watchlist.name,
+        count: matched.size,
+        errors: errors.length ? errors : undefined,
+      });
+    }
+    // marked only now, after every watchlist has had its delivery attempt
+    fresh.forEach((r) => seen.set(r.id, now));
+    await save();
+    return summary;
+  }
+
+  // Runs never overlap; a call during a run gets that run's result
+  function run() {
+    if (!running) running = runOnce().finally(() => (running = null));
+    return running;
+  }
+
+  function start(intervalMs) {
+    const tick = () =>
+      run()
+        .then((s) => {
+          if (s.alerts.length || s.primed)
+            log.info("Alert run", {
+              new: s.new,
+              checked: s.checked,
+              alerted: s.alerts.length,
+              primed: s.primed || undefined,
+            });
+        })
+        .catch((e) => log.warn("Alert run failed", { err: e }));
+    tick();
+    setInterval(tick, intervalMs).unref();
+  }
+
+  return { load, save, run, start };
+}
+
+module.exports = { createAlertJob };
@@ -0,0 +1,720 @@
+const express = require("express");
+const path = require("path");
+const cors = require("cors");
+const { createRecallCache } = require("./recallCache");
+const { createOpenFdaClient } = require("./openFda");
+const { createMetrics } = require("./metrics");
+const { logger, requestLogger } = require("./logger");
+const { securityHeaders, corsOptions, trustProxy } = require("./security");
+const {
+  MAX_LIMIT,
+  parseRecallQuery,
+  parseViewQuery,
+  queryKey,
+} = require("./recallQuery");
+const { OPENFDA_ENDPOINTS, createRecallLoader } = require("./recallLoader");
+const { createGeocoder } = require("./geocoder");
+const { createProviderFromEnv } = require("./geocodeProviders");
+const { findState } = require("./usStates");
+const { parseWatchlist, createWatchlistStore } = require("./watchlists");
+const { createAlertJob } = require("./alerts");
+const { createStatusHistory } = require("./statusHistory");
+const { EXPORT_FORMATS, streamExport } = require("./exporters");
+const HazardFilters = require("../public/filters");
+const HazardStats = require("../public/stats");
+const HazardFirms = require("../public/firms");
+const HazardGeo = require("../public/geo");
+const productCodes = require("./productCodes");
+
+// Longest address /api/geocode accepts; record addresses are far shorter
+const MAX_GEOCODE_QUERY_LENGTH = 300;
+
+// The Express app and everything behind it, configured from `env` (process.env by
+// default) so tests can point it at local upstream stand-ins and temp files.
+// Returns { app, start, ... }; start() launches the background refresh and alert
+// schedules, which the caller does once it is listening.
+function createApp(env = process.env) {
+  const DATA_DIR = env.DATA_DIR || path.join(__dirname, "..", "data");
+
+  const app = express();
+  const log = logger.child({ module: "server" });
+
+  app.disable("x-powered-by");
+  app.set("trust proxy", trustProxy(env));
+  app.use(requestLogger(log));
+  app.use(securityHeaders());
+  app.use(cors(corsOptions(env)));
+  app.use(express.json());
+  app.use(express.static(path.join(__dirname, "..", "public")));
+
+  // Prometheus metrics, filled in by the upstream clients and the code paths below
+  const metrics = createMetrics();
+  const endpointErrors = metrics.counter(
+    "openfda_endpoint_errors_total",
+    "openFDA enforcement endpoint pulls that failed, by endpoint"
+  );
+  const cacheLookups = metrics.counter(
+    "recall_cache_lookups_total",
+    "Recall cache lookups by result (hit, stale, miss, error)"
+  );
+  metrics.gauge(
+    "recall_cache_hit_ratio",
+    "Share of recall cache lookups answered from the cache",
+    () => {
+      const served =
+        cacheLookups.get({ result: "hit" }) +
+        cacheLookups.get({ result: "stale" });
+      const total =
+        served +
+        cacheLookups.get({ result: "miss" }) +
+        cacheLookups.get({ result: "error" });
+      return total ? served / total : 0;
+    }
+  );
+
+  // Shared openFDA client; its rate limiter covers every request made below
+  const openFda = createOpenFdaClient({
+    metrics,
+    apiKey: env.OPENFDA_API_KEY,
+    limits: {
+      perMinute: Number(env.OPENFDA_RATE_PER_MINUTE) || undefined,
+      perDay: Number(env.OPENFDA_RATE_PER_DAY) || undefined,
+    },
+    timeoutMs: Number(env.OPENFDA_TIMEOUT_MS) || undefined,
+    retryBaseMs:
+      env.OPENFDA_RETRY_BASE_MS === undefined
+        ? undefined
+        : Number(env.OPENFDA_RETRY_BASE_MS),
+  });
+
+  // Server-side cache of unified result sets, keyed by query. Persisted to disk so
+  // restarts are warm, refreshed in the background, and served stale when openFDA is
+  // unavailable.
+  const DEFAULT_PARAMS = parseRecallQuery({}).params;
+  const DEFAULT_KEY = queryKey(DEFAULT_PARAMS);
+  const recallCache = createRecallCache({
+    file: env.RECALL_CACHE_FILE || path.join(DATA_DIR, "recall-cache.json"),
+    ttlMs: Number(env.RECALL_CACHE_TTL_MINUTES || 60) * 60 * 1000,
+    partialTtlMs: Number(env.RECALL_CACHE_PARTIAL_TTL_MINUTES || 5) * 60 * 1000,
+    maxBytes: Number(env.RECALL_CACHE_MAX_MB || 64) * 1024 * 1024,
+    // only the background-refreshed default query is written to disk
+    persist: (key) => key === DEFAULT_KEY,
+  });
+  recallCache.load();
+
+  // Shared server-side geocoder; coordinates are attached to /api/recalls records
+  const geocoder = createGeocoder({
+    metrics,
+    provider: createProviderFromEnv(env),
+    file: env.GEOCODE_CACHE_FILE || path.join(DATA_DIR, "geocache.json"),
+    maxEntries: Number(env.GEOCODE_CACHE_MAX_ENTRIES || 50000),
+    maxQueue: Number(env.GEOCODE_QUEUE_MAX || 500),
+    missTtlMs: Number(env.GEOCODE_MISS_TTL_HOURS || 24) * 60 * 60 * 1000,
+  });
+  geocoder.load();
+  metrics.gauge(
+    "geocode_queue_depth",
+    "Addresses waiting for the geocoding provider",
+    () => geocoder.queueDepth()
+  );
+
+  // Saved watchlists and the scheduled job that alerts them about new recalls
+  const watchlists = createWatchlistStore({
+    file: env.WATCHLIST_FILE || path.join(DATA_DIR, "watchlists.json"),
+  });
+  watchlists.load();
+
+  // Status snapshots of every pulled recall, so terminations can be dated
+  const statusHistory = createStatusHistory({
+    file: env.STATUS_HISTORY_FILE || path.join(DATA_DIR, "status-history.json"),
+  });
+  statusHistory.load();
+
+  // openFDA pulls for a validated query (see lib/recallLoader.js)
+  const recallLoader = createRecallLoader({
+    openFda,
+    baseUrl: env.OPENFDA_BASE_URL,
+    statusHistory,
+    endpointErrors,
+  });
+  const { loadRecalls } = recallLoader;
+
+  // YYYYMMDD for a date `days` before today (UTC)
+  function daysAgo(days) {
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+      .toISOString()
+      .slice(0, 10)
+      .replace(/-/g, "");
+  }
+
+  // Hosts a watchlist's own webhook_url may point at
+  const WEBHOOK_HOSTS = (env.ALERT_WEBHOOK_HOSTS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+
+  const alertJob = createAlertJob({
+    store: watchlists,
+    seenFile: env.ALERT_SEEN_FILE || path.join(DATA_DIR, "alert-seen.json"),
+    // a fresh pull (not the cache) of everything reported in the lookback window
+    loadRecent: async () => {
+      const lookback = Number(env.ALERT_LOOKBACK_DAYS || 30);
+      const { params } = parseRecallQuery({
+        from: daysAgo(lookback),
+        to: daysAgo(0),
+        limit: 1000,
+      });
+      return (await loadRecalls(params)).results;
+    },
+    webhookUrl: env.ALERT_WEBHOOK_URL || null,
+    webhookHosts: WEBHOOK_HOSTS,
+    smtp: env.ALERT_SMTP_HOST
+      ? {
+          host: env.ALERT_SMTP_HOST,
+          port: Number(env.ALERT_SMTP_PORT || 25),
+          from: env.ALERT_EMAIL_FROM || "hazard-atlas@localhost",
+        }
+      : null,
+    defaultEmails: (env.ALERT_EMAIL_TO || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean),
+  });
+  alertJob.load();
+
+  function startAlerts() {
+    const minutes = Number(env.ALERT_INTERVAL_MINUTES || 60);
+    if (!minutes || minutes <= 0) return;
+    alertJob.start(minutes * 60 * 1000);
+  }
+
+  // Background refresh keeps the default (unfiltered) query warm
+  function startBackgroundRefresh() {
+    const minutes = Number(env.RECALL_REFRESH_MINUTES || 60);
+    if (!minutes || minutes <= 0) return;
+    const run = () =>
+      recallCache
+        .refresh(DEFAULT_KEY, () => loadRecalls(DEFAULT_PARAMS))
+        .then((entry) =>
+          log.info("Background refresh cached recalls", {
+            results: entry.results.length,
+          })
+        )
+        .catch((e) => log.warn("Background refresh failed", { err: e }));
+    // warm the cache at startup unless the persisted copy is still fresh
+    if (!recallCache.isFresh(recallCache.peek(DEFAULT_KEY))) run();
+    setInterval(run, minutes * 60 * 1000).unref();
+  }
+
+  // Resolve a validated query through the cache (see createRecallCache.get)
+  async function getRecalls(params) {
+    try {
+      const result = await recallCache.get(queryKey(params), () =>
+        loadRecalls(params)
+      );
+      cacheLookups.inc({
+        result: result.stale ? "stale" : result.cached ? "hit" : "miss",
+      });
+      return result;
+    } catch (err) {
+      cacheLookups.inc({ result: "error" });
+      throw err;
+    }
+  }
+
+  // Product rows inside the bbox/near/polygon region of `params`, judged by their
+  // geocoded coordinates. Rows whose address is not geocoded yet are left out and
+  // counted in `ungeocoded` (attach() has queued them, so a later request sees more).
+  function withinRegion(records, params) {
+    if (!params.region) return { records, ungeocoded: 0 };
+    let ungeocoded = 0;
+    const inside = records.filter((r) => {
+      if (typeof r.lat !== "number" || typeof r.lon !== "number") {
+        ungeocoded++;
+        return false;
+      }
+      return HazardGeo.inRegion(params.region, r);
+    });
+    return { records: inside, ungeocoded };
+  }
+
+  function sendInvalid(res, details) {
+    return res.status(400).json({ error: "Invalid query parameters", details });
+  }
+
+  // Error response for a failed getRecalls(). The stack goes to the log only; the
+  // body carries the request id to find it there.
+  function sendRecallError(res, err) {
+    if (err && err.details) {
+      // Nothing cached to fall back to — return error directly
+      log.error("All openFDA endpoints failed; returning error response");
+      return res.status(502).json({
+        error: "All openFDA endpoints failed",
+        details: err.details,
+        message:
+          "Unable to fetch recall data. Please check network connectivity.",
+        request_id: res.req.id,
+      });
+    }
+    log.error("Error fetching openFDA", { err });
+    return res.status(500).json({
+      error: "Failed to fetch recalls from openFDA",
+      details: { message: String(err && err.message ? err.message : err) },
+      request_id: res.req.id,
+    });
+  }
+
+  app.get("/api/recalls", async (req, res) => {
+    const { params, errors: invalid } = parseRecallQuery(req.query);
+    if (invalid) return sendInvalid(res, invalid);
+
+    try {
+      const { entry, stale, cached, error } = await getRecalls(params);
+      const region = withinRegion(geocoder.attach(entry.results), params);
+      let results = region.records;
+      // grouping and the region apply within the requested window; `total` still
+      // counts rows
+      if (params.group === "event")
+        results = HazardFilters.groupByEvent(results);
+      const payload = {
+        count: results.length,
+        total: entry.total,
+        offset: params.offset,
+        limit: params.limit,
+        results,
+        fetched_at: entry.fetched_at,
+        cached,
+      };
+      if (params.group) payload.group = params.group;
+      if (params.region) payload.ungeocoded = region.ungeocoded;
+      if (stale) payload.stale = true;
+      if (entry.retried) payload.retried = true;
+      if (entry.errors) payload.errors = entry.errors;
+      if (stale && error && error.details) payload.errors = error.details;
+      res.json(payload);
+    } catch (err) {
+      return sendRecallError(res, err);
+    }
+  });
+
+  // Download the unified records (with cached coordinates) as CSV, GeoJSON or KML.
+  // Takes the /api/recalls parameters to pick the dataset, plus optional view[...]
+  // filters that mirror the UI controls so the file matches the on-screen list.
+  app.get("/api/recalls/export", async (req, res) => {
+    const format = String(req.query.format || "csv").toLowerCase();
+    const { params, errors: invalid } = parseRecallQuery(req.query);
+    const { view, errors: invalidView } = parseViewQuery(req.query.view);
+    const errors = (invalid || []).concat(invalidView || []);
+    if (!EXPORT_FORMATS.includes(format)) {
+      errors.unshift({
+        param: "format",
+        value: req.query.format,
+        message: `Expected one of ${EXPORT_FORMATS.join(", ")}`,
+      });
+    }
+    if (errors.length) return sendInvalid(res, errors);
+
+    let records;
+    try {
+      const { entry } = await getRecalls(params);
+      records = withinRegion(geocoder.attach(entry.results), params).records;
+    } catch (err) {
+      return sendRecallError(res, err);
+    }
+    if (view) records = HazardFilters.applyView(records, view).visible;
+    // exports are always one row per product, also when the view is grouped
+    records = [].concat(...records.map((r) => r.products || [r]));
+    const stamp = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+    try {
+      await streamExport(format, records, res, `hazard-atlas-recalls-${stamp}`);
+    } catch (err) {
+      log.error("Export failed", { format, err });
+      res.destroy(err);
+    }
+  });
+
+  // Status snapshots recorded for one recall across pulls (see lib/statusHistory.js)
+  app.get("/api/recalls/:id/status-history", (req, res) => {
+    const history = statusHistory.get(req.params.id);
+    if (!history) return res.status(404).json({ error: "Recall not found" });
+    res.json(history);
+  });
+
+  // A firm's recall history: every recall whose firm name folds onto the same key
+  // as :name (legal suffixes, punctuation and one-letter slips merged, see
+  // public/firms.js), with counts per classification and year and its addresses.
+  // openFDA is searched for the key as a phrase; the other /api/recalls parameters
+  // (dates, type, ...) narrow the dataset as usual.
+  app.get("/api/firms/:name", async (req, res) => {
+    const name = String(req.params.name).trim();
+    const key = HazardFirms.firmKey(name);
+    if (!key || name.length > 200) {
+      return sendInvalid(res, [
+        {
+          param: "name",
+          value: req.params.name,
+          message: key
+            ? "Must be at most 200 characters"
+            : "Must contain letters or digits",
+        },
+      ]);
+    }
+    // openFDA only matches the name's leading word, which other firms share too,
+    // so as many rows as allowed are fetched; spellings are merged below
+    const { params, errors: invalid } = parseRecallQuery({
+      limit: MAX_LIMIT,
+      ...req.query,
+      firm: HazardFirms.firmSearchWord(name),
+    });
+    if (invalid) return sendInvalid(res, invalid);
+
+    try {
+      const { entry, stale, cached } = await getRecalls(params);
+      // openFDA matched more rows than the limit fetched
+      const truncated = params.offset + entry.results.length < entry.total;
+      const profile = HazardFirms.firmProfile(
+        withinRegion(geocoder.attach(entry.results), params).records,
+        name
+      );
+      // not among the fetched rows is only "not found" when nothing was left out
+      if (!profile && !truncated)
+        return res.status(404).json({ error: "Firm not found", name });
+      const payload = {
+        ...(profile || HazardFirms.emptyProfile(name)),
+        fetched_at: entry.fetched_at,
+        cached,
+      };
+      if (truncated) payload.truncated = true;
+      if (stale) payload.stale = true;
+      if (entry.errors && entry.errors.length) payload.errors = entry.errors;
+      res.json(payload);
+    } catch (err) {
+      return sendRecallError(res, err);
+    }
+  });
+
+  // Every recall affecting one product: ?ndc= (a package NDC of 10 or 11 digits, or
+  // a product NDC, hyphenated or not) or ?upc= (12 to 14 digits). openFDA is searched
+  // for each way the code may be printed, and rows are kept when the code is among
+  // their extracted codes (lib/productCodes.js). The other /api/recalls parameters
+  // (dates, type, ...) narrow the dataset as usual.
+  app.get("/api/lookup", async (req, res) => {
+    const given = ["ndc", "upc"].filter(
+      (key) =>
+        req.query[key] !== undefined && String(req.query[key]).trim() !== ""
+    );
+    if (given.length !== 1) {
+      return sendInvalid(res, [
+        {
+          param: "ndc",
+          value: req.query.ndc,
+          message: given.length
+            ? "Give either ndc or upc, not both"
+            : "Expected an ndc or upc parameter",
+        },
+      ]);
+    }
+    const field = given[0];
+    const value = String(req.query[field]).trim();
+    let codes;
+    let matches;
+    if (field === "ndc") {
+      const candidates = productCodes.ndcCandidates(value);
+      if (!candidates.length)
+        return sendInvalid(res, [
+          {
+            param: "ndc",
+            value,
+            message:
+              "Expected an NDC such as 0002-1433-80, 00002143380 or 0002-1433",
+          },
+        ]);
+      codes = [].concat(...candidates.map(productCodes.ndcForms));
+      matches = (r) => productCodes.hasNdc(r, candidates);
+    } else {
+      const digits = productCodes.upcDigits(value);
+      if (!digits)
+        return sendInvalid(res, [
+          { param: "upc", value, message: "Expected a UPC of 12 to 14 digits" },
+        ]);
+      codes = productCodes.upcForms(digits);
+      matches = (r) => productCodes.hasUpc(r, digits);
+    }
+    const { params, errors: invalid } = parseRecallQuery(req.query);
+    if (invalid) return sendInvalid(res, invalid);
+    params.codes = { field, forms: codes };
+
+    try {
+      const { entry, stale, cached } = await getRecalls(params);
+      const results = withinRegion(
+        geocoder.attach(entry.results),
+        params
+      ).records.filter(matches);
+      const payload = {
+        [field]: value,
+        count: results.length,
+        results,
+        fetched_at: entry.fetched_at,
+        cached,
+      };
+      // openFDA matched more rows than the limit fetched
+      if (params.offset + entry.results.length < entry.total)
+        payload.truncated = true;
+      if (stale) payload.stale = true;
+      if (entry.errors && entry.errors.length) payload.errors = entry.errors;
+      res.json(payload);
+    } catch (err) {
+      return sendRecallError(res, err);
+    }
+  });
+
+  // Aggregates (type, classification, state, month, top firms and reasons) over the
+  // dataset chosen by the /api/recalls parameters, narrowed by the same view[...]
+  // filters the export takes. The dashboard computes the same numbers in the browser.
+  app.get("/api/stats", async (req, res) => {
+    const { params, errors: invalid } = parseRecallQuery(req.query);
+    const { view, errors: invalidView } = parseViewQuery(req.query.view);
+    const errors = (invalid || []).concat(invalidView || []);
+    if (errors.length) return sendInvalid(res, errors);
+
+    try {
+      const { entry, stale, cached } = await getRecalls(params);
+      // coordinates are needed for a region, given as a parameter or in the view
+      let records = withinRegion(
+        geocoder.attach(entry.results),
+        params
+      ).records;
+      if (view)
+        records = HazardFilters.applyView(
+          records,
+          Object.assign({}, view, { limit: "all" })
+        ).items;
+      const payload = Object.assign(HazardStats.computeStats(records), {
+        fetched_at: entry.fetched_at,
+        cached,
+      });
+      if (stale) payload.stale = true;
+      res.json(payload);
+    } catch (err) {
+      return sendRecallError(res, err);
+    }
+  });
+
+  // Geocode a single address through the shared cache and rate-limited queue
+  app.get("/api/geocode", async (req, res) => {
+    const q = String(req.query.q || "").trim();
+    if (!q || q.length > MAX_GEOCODE_QUERY_LENGTH) {
+      return res.status(400).json({
+        error: "Invalid query parameters",
+        details: [
+          {
+            param: "q",
+            value: req.query.q,
+            message: q
+              ? `Must be at most ${MAX_GEOCODE_QUERY_LENGTH} characters`
+              : "Required",
+          },
+        ],
+      });
+    }
+    try {
+      const result = await geocoder.geocode(q);
+      res.json({ query: q, result });
+    } catch (err) {
+      if (err.code === "GEOCODE_QUEUE_FULL") {
+        res.set("Retry-After", "60");
+        return res.status(503).json({ error: "Geocoding queue is full" });
+      }
+      log.warn("Geocode error", { err });
+      res.status(502).json({
+        error: "Geocoding provider failed",
+        message: String(err && err.message ? err.message : err),
+      });
+    }
+  });
+
+  // US state outlines (GeoJSON, keyed by two-letter code) for the distribution layer.
+  // Converted from the us-atlas TopoJSON once and kept in memory.
+  let stateShapes = null;
+  app.get("/api/geo/states", (req, res) => {
+    if (!stateShapes) {
+      const topojson = require("topojson-client");
+      const topo = require("us-atlas/states-10m.json");
+      const collection = topojson.feature(topo, topo.objects.states);
+      collection.features = collection.features
+        .map((f) => {
+          const st = findState(f.properties.name);
+          return st
+            ? { ...f, properties: { abbr: st.abbr, name: st.name } }
+            : null;
+        })
+        .filter(Boolean);
+      stateShapes = collection;
+    }
+    res.set("Cache-Control", "public, max-age=86400");
+    res.json(stateShapes);
+  });
+
+  // Watchlists: named criteria checked against every fresh pull (see lib/alerts.js)
+  function sendInvalidWatchlist(res, details) {
+    return res.status(400).json({ error: "Invalid watchlist", details });
+  }
+
+  function sendWatchlistNotFound(res) {
+    return res.status(404).json({ error: "Watchlist not found" });
+  }
+
+  app.get("/api/watchlists", (req, res) => {
+    res.json({ watchlists: watchlists.list() });
+  });
+
+  app.post("/api/watchlists", (req, res) => {
+    const { watchlist, errors } = parseWatchlist(req.body, WEBHOOK_HOSTS);
+    if (errors) return sendInvalidWatchlist(res, errors);
+    res.status(201).json(watchlists.create(watchlist));
+  });
+
+  app.get("/api/watchlists/:id", (req, res) => {
+    const watchlist = watchlists.get(req.params.id);
+    if (!watchlist) return sendWatchlistNotFound(res);
+    res.json(watchlist);
+  });
+
+  app.put("/api/watchlists/:id", (req, res) => {
+    if (!watchlists.get(req.params.id)) return sendWatchlistNotFound(res);
+    const { watchlist, errors } = parseWatchlist(req.body, WEBHOOK_HOSTS);
+    if (errors) return sendInvalidWatchlist(res, errors);
+    res.json(watchlists.update(req.params.id, watchlist));
+  });
+
+  app.delete("/api/watchlists/:id", (req, res) => {
+    if (!watchlists.remove(req.params.id)) return sendWatchlistNotFound(res);
+    res.status(204).end();
+  });
+
+  // Run the alert job now instead of waiting for the schedule
+  app.post("/api/alerts/run", async (req, res) => {
+    try {
+      res.json(await alertJob.run());
+    } catch (err) {
+      return sendRecallError(res, err);
+    }
+  });
+
+  // Liveness for the load balancer: the process is up and serving requests
+  app.get("/healthz", (req, res) => {
+    res.json({ status: "ok", uptime_s: Math.round(process.uptime()) });
+  });
+
+  // openFDA counts as reachable when it answered (any HTTP status) within the last
+  // READY_PROBE_SECONDS; otherwise one probe request is made, shared by concurrent
+  // checks. Probing no more often than this keeps readiness checks off the quota.
+  const READY_PROBE_MS = Number(env.READY_PROBE_SECONDS || 300) * 1000;
+  let readyProbe = null;
+
+  function probeOpenFda() {
+    if (Date.now() - openFda.lastContact() < READY_PROBE_MS)
+      return Promise.resolve({ ok: true });
+    if (!readyProbe) {
+      readyProbe = openFda
+        .fetchJson(`${recallLoader.endpointUrl("Food")}?limit=1`, 1, {
+          timeoutMs: 5000,
+        })
+        .then(
+          () => ({ ok: true }),
+          (err) => ({
+            ok: Boolean(err && err.status),
+            error: String(err && err.message ? err.message : err),
+          })
+        )
+        .finally(() => (readyProbe = null));
+    }
+    return readyProbe;
+  }
+
+  // Readiness: the default recall query is cached (so the instance can answer even
+  // while openFDA blips) and openFDA is reachable. 503 lists what is missing.
+  app.get("/readyz", async (req, res) => {
+    const cached = recallCache.peek(DEFAULT_KEY);
+    const upstream = await probeOpenFda();
+    const checks = {
+      cache: cached
+        ? { ok: true, fetched_at: cached.fetched_at }
+        : { ok: false, error: "Default query not cached yet" },
+      openfda: upstream,
+    };
+    const ready = checks.cache.ok && checks.openfda.ok;
+    res.status(ready ? 200 : 503).json({
+      status: ready ? "ready" : "not ready",
+      checks,
+    });
+  });
+
+  // Prometheus scrape endpoint
+  app.get("/metrics", (req, res) => {
+    res.type("text/plain; version=0.0.4").send(metrics.render());
+  });
+
+  // Lightweight diagnostic endpoint to test connectivity to openFDA: probes every
+  // enforcement endpoint once, bypassing the recall cache
+  app.get("/api/diagnose", async (req, res) => {
+    const endpoints = [];
+    for (const type of Object.keys(OPENFDA_ENDPOINTS)) {
+      const start = Date.now();
+      const result = { endpoint: type.toLowerCase() };
+      try {
+        await openFda.fetchJson(
+          `${recallLoader.endpointUrl(type)}?limit=1`,
+          1,
+          { timeoutMs: 10000 }
+        );
+        result.ok = true;
+      } catch (err) {
+        result.ok = false;
+        if (err && err.status) result.status = err.status;
+        result.error = String(err && err.message ? err.message : err);
+      }
+      result.elapsed_ms = Date.now() - start;
+      endpoints.push(result);
+    }
+    const ok = endpoints.every((e) => e.ok);
+    if (!ok) log.error("Diagnose failed", { endpoints });
+    return res.status(ok ? 200 : 502).json({
+      ok,
+      info: `openFDA ${ok ? "reachable" : "unreachable"} (${
+        env.OPENFDA_API_KEY ? "API key" : "anonymous"
+      })`,
+      endpoints,
+    });
+  });
+
+  // Last-resort error handler (e.g. malformed JSON bodies): JSON without the stack.
+  // Express recognises error handlers by their four arguments.
+  app.use((err, req, res, next) => {
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) log.error("Unhandled error", { err });
+    res.status(status).json({
+      error: status >= 500 ? "Internal server error" : err.message,
+      request_id: req.id,
+    });
+  });
+
+  function start() {
+    startBackgroundRefresh();
+    startAlerts();
+  }
+
+  return {
+    app,
+    start,
+    metrics,
+    openFda,
+    recallCache,
+    geocoder,
+    watchlists,
+    statusHistory,
+    alertJob,
+  };
+}
+
+module.exports = { createApp };
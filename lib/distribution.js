@@ -0,0 +1,149 @@
+const { STATES, findState } = require("./usStates");
+
+// Parser for openFDA's free-text `distribution_pattern` ("Nationwide", "CA, NV and
+// AZ", "Distributed in Ohio and Canada", ...). Extracts US states (names and
+// two-letter codes), a nationwide flag and foreign countries.
+
+const NATIONWIDE_RE =
+  /\b(?:nation\s*-?\s*wide|nationally|all\s+(?:50\s+)?states|throughout\s+the\s+(?:u\.?\s?s\.?a?\.?|united\s+states|country))\b/i;
+
+// The 50 states plus DC; what "nationwide" expands to
+const FIFTY_STATES_AND_DC = STATES.filter(
+  (s) => !["PR", "VI", "GU", "AS", "MP"].includes(s.abbr)
+).map((s) => s.abbr);
+
+// Codes that are also common words or abbreviations ("IN", "OR", "ME", "VI", ...).
+// In all-caps text they only count when listed next to another state, e.g.
+// "CA, OR, AND WA"; in mixed-case text an uppercase "OR" is taken as Oregon.
+const AMBIGUOUS_CODES = new Set("IN OR ME OK HI ID CO DE AS GU VI".split(" "));
+
+// Foreign destinations seen in enforcement reports. Names that collide with US
+// states or everyday words (Georgia, Turkey, Jordan, Chad) are left out.
+const COUNTRIES = (
+  "Canada|Mexico|United Kingdom|England|Ireland|France|Germany|Italy|" +
+  "Spain|Portugal|Netherlands|Belgium|Switzerland|Austria|Sweden|Norway|" +
+  "Denmark|Finland|Poland|Greece|Israel|Saudi Arabia|" +
+  "United Arab Emirates|Kuwait|Qatar|Egypt|South Africa|Nigeria|Kenya|" +
+  "India|Pakistan|China|Hong Kong|Taiwan|Japan|South Korea|Korea|" +
+  "Philippines|Vietnam|Thailand|Malaysia|Singapore|Indonesia|Australia|" +
+  "New Zealand|Brazil|Argentina|Chile|Colombia|Peru|Venezuela|Ecuador|" +
+  "Costa Rica|Panama|Guatemala|Honduras|El Salvador|Dominican Republic|" +
+  "Jamaica|Bahamas|Bermuda|Trinidad|Barbados|Aruba|Haiti"
+).split("|");
+const COUNTRY_ALIASES = {
+  UK: "United Kingdom",
+  "U.K.": "United Kingdom",
+  "Great Britain": "United Kingdom",
+  UAE: "United Arab Emirates",
+};
+
+function canonicalCountry(name) {
+  const lower = name.toLowerCase();
+  const alias = Object.keys(COUNTRY_ALIASES).find(
+    (a) => a.toLowerCase() === lower
+  );
+  if (alias) return COUNTRY_ALIASES[alias];
+  const country = COUNTRIES.find((c) => c.toLowerCase() === lower);
+  return country === "England" ? "United Kingdom" : country;
+}
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Longest names first so "West Virginia" wins over "Virginia"
+const STATE_NAME_RE = new RegExp(
+  `\\b(${STATES.map((s) => s.name)
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRe)
+    .join("|")})\\b`,
+  "gi"
+);
+const COUNTRY_RE = new RegExp(
+  `(?:^|[^A-Za-z.])(${COUNTRIES.concat(Object.keys(COUNTRY_ALIASES))
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRe)
+    .join("|")})(?![A-Za-z])`,
+  "gi"
+);
+
+// Words and punctuation that separate list items ("CA, OR and WA"). "or" is left
+// out since it is also Oregon.
+const LIST_SEPARATOR_RE = /^(?:\s*(?:,|;|\/|&|\band\b)\s*)+$/i;
+
+// Returns { states: ["CA", ...], nationwide: bool, countries: ["Canada", ...] }.
+// A nationwide pattern lists every state plus DC.
+function parseDistribution(pattern) {
+  if (!pattern) return { states: [], nationwide: false, countries: [] };
+  const states = new Set();
+  const countries = new Set();
+  // spans of recognised places, used to accept ambiguous codes listed beside them
+  const anchors = [];
+  // every rewrite below keeps the text length so offsets stay comparable
+  let text = String(pattern);
+
+  const nationwide = NATIONWIDE_RE.test(text);
+
+  // "Washington, D.C." and "D.C." are DC, not Washington state or "D" and "C"
+  text = text.replace(
+    /\bWashington,?\s*D\.?\s?C\b\.?|\bD\.\s?C\.?(?![A-Za-z])/g,
+    (m) => " DC".padEnd(m.length)
+  );
+
+  // Full state names, blanked out afterwards so their letters are not re-read as codes
+  text = text.replace(STATE_NAME_RE, (m, name, offset) => {
+    const st = findState(m);
+    if (st) states.add(st.abbr);
+    anchors.push({ start: offset, end: offset + m.length });
+    return " ".repeat(m.length);
+  });
+
+  text = text.replace(COUNTRY_RE, (m, name) => {
+    const country = canonicalCountry(name);
+    if (country) countries.add(country);
+    return m.replace(name, " ".repeat(name.length));
+  });
+
+  // Two-letter uppercase codes. Unambiguous ones count outright; ambiguous ones
+  // need mixed-case text or a recognised state beside them in a list.
+  const mixedCase = /[a-z]/.test(text);
+  const tokens = [];
+  const codeRe = /\b([A-Z]{2})\b/g;
+  let m;
+  while ((m = codeRe.exec(text))) {
+    const st = findState(m[1]);
+    if (st && st.abbr === m[1]) {
+      tokens.push({ code: m[1], start: m.index, end: m.index + 2 });
+    }
+  }
+  const accepted = tokens.map((t) => mixedCase || !AMBIGUOUS_CODES.has(t.code));
+  const listed = (a, b) => LIST_SEPARATOR_RE.test(text.slice(a.end, b.start));
+  let changed = true;
+  while (changed) {
+    changed = false;
+    tokens.forEach((t, i) => {
+      if (accepted[i]) return;
+      const neighbours = tokens.filter((_, j) => accepted[j]).concat(anchors);
+      const hit = neighbours.some((n) =>
+        n.end <= t.start ? listed(n, t) : n.start >= t.end && listed(t, n)
+      );
+      if (hit) {
+        accepted[i] = true;
+        changed = true;
+      }
+    });
+  }
+  tokens.forEach((t, i) => {
+    if (accepted[i]) states.add(t.code);
+  });
+
+  if (nationwide) FIFTY_STATES_AND_DC.forEach((abbr) => states.add(abbr));
+
+  return {
+    states: Array.from(states).sort(),
+    nationwide,
+    countries: Array.from(countries).sort(),
+  };
+}
+
+module.exports = { parseDistribution };
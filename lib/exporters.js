@@ -0,0 +1,161 @@
+// Streaming CSV, GeoJSON and KML writers for unified recall records. Each format
+// writes a header, one chunk per record and a footer, waiting for the response to
+// drain so large exports do not buffer in memory.
+
+const COLUMNS = [
+  "id",
+  "type",
+  "recall_number",
+  "event_id",
+  "report_date",
+  "classification",
+  "status",
+  "termination_date",
+  "product_description",
+  "brand_names",
+  "generic_names",
+  "manufacturer_names",
+  "ndc_codes",
+  "upc_codes",
+  "recalling_firm",
+  "reason_for_recall",
+  "hazard_categories",
+  "allergens",
+  "product_quantity",
+  "address_1",
+  "city",
+  "state",
+  "postal_code",
+  "country",
+  "distribution_pattern",
+  "distribution_states",
+  "distribution_countries",
+  "lat",
+  "lon",
+  "geo_precision",
+];
+
+// Flat, scalar property values (arrays joined) so GIS tools read them as columns
+function flatValue(rec, col) {
+  const v = rec[col];
+  if (v === undefined || v === null) return null;
+  if (Array.isArray(v)) return v.join(";");
+  return v;
+}
+
+function hasPoint(rec) {
+  return typeof rec.lat === "number" && typeof rec.lon === "number";
+}
+
+function csvCell(v) {
+  if (v === null) return "";
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function xmlText(v) {
+  return String(v)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const FORMATS = {
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+    header: () => COLUMNS.join(",") + "\r\n",
+    row: (rec) =>
+      COLUMNS.map((c) => csvCell(flatValue(rec, c))).join(",") + "\r\n",
+    footer: () => "",
+  },
+  geojson: {
+    contentType: "application/geo+json; charset=utf-8",
+    extension: "geojson",
+    header: () => '{"type":"FeatureCollection","features":[\n',
+    row: (rec, i) => {
+      const properties = {};
+      COLUMNS.forEach((c) => {
+        properties[c] = flatValue(rec, c);
+      });
+      const feature = {
+        type: "Feature",
+        id: rec.id,
+        // records without coordinates are kept with a null geometry
+        geometry: hasPoint(rec)
+          ? { type: "Point", coordinates: [rec.lon, rec.lat] }
+          : null,
+        properties,
+      };
+      return (i ? ",\n" : "") + JSON.stringify(feature);
+    },
+    footer: () => "\n]}\n",
+  },
+  kml: {
+    contentType: "application/vnd.google-earth.kml+xml; charset=utf-8",
+    extension: "kml",
+    header: () =>
+      '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>\n' +
+      "<name>Hazard Atlas recalls</name>\n",
+    row: (rec) => {
+      const data = COLUMNS.map((c) => {
+        const v = flatValue(rec, c);
+        return v === null
+          ? ""
+          : `<Data name="${c}"><value>${xmlText(v)}</value></Data>`;
+      }).join("");
+      const point = hasPoint(rec)
+        ? `<Point><coordinates>${rec.lon},${rec.lat}</coordinates></Point>`
+        : "";
+      return (
+        `<Placemark id="${xmlText(rec.id)}">` +
+        `<name>${xmlText(rec.product_description || rec.id)}</name>` +
+        `<description>${xmlText(
+          [rec.recalling_firm, rec.classification, rec.reason_for_recall]
+            .filter(Boolean)
+            .join(" — ")
+        )}</description>` +
+        `<ExtendedData>${data}</ExtendedData>${point}</Placemark>\n`
+      );
+    },
+    footer: () => "</Document></kml>\n",
+  },
+};
+
+// Write a chunk, waiting for "drain" when the socket buffer is full. Resolves
+// early if the client goes away.
+function write(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+}
+
+// Stream `records` to an Express response in the given format
+async function streamExport(format, records, res, filename = "recalls") {
+  const fmt = FORMATS[format];
+  res.set("Content-Type", fmt.contentType);
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="${filename}.${fmt.extension}"`
+  );
+  await write(res, fmt.header());
+  for (let i = 0; i < records.length; i++) {
+    if (res.destroyed) return;
+    await write(res, fmt.row(records[i], i));
+  }
+  res.end(fmt.footer());
+}
+
+module.exports = {
+  EXPORT_FORMATS: Object.keys(FORMATS),
+  streamExport,
+};
@@ -0,0 +1,79 @@
+const { findState } = require("./usStates");
+
+// Offline US gazetteer: ZIP centroids and city centroids come from the `zipcodes`
+// package (one entry per ZIP), state centroids from usStates. Indexes are built on
+// first use since the ZIP table is large.
+let index = null;
+
+function cityKey(city, state) {
+  return `${String(city).trim().toLowerCase()}|${state}`;
+}
+
+function buildIndex() {
+  const { codes } = require("zipcodes");
+  const zips = new Map();
+  const sums = new Map();
+  Object.values(codes).forEach((c) => {
+    if (c.country !== "US" || !/^\d{5}$/.test(c.zip)) return;
+    zips.set(c.zip, { lat: c.latitude, lon: c.longitude });
+    // a city's centroid is the mean of its ZIP centroids
+    const key = cityKey(c.city, c.state);
+    const sum = sums.get(key) || { lat: 0, lon: 0, n: 0 };
+    sum.lat += c.latitude;
+    sum.lon += c.longitude;
+    sum.n += 1;
+    sums.set(key, sum);
+  });
+  const cities = new Map();
+  sums.forEach((sum, key) =>
+    cities.set(key, { lat: sum.lat / sum.n, lon: sum.lon / sum.n })
+  );
+  return { zips, cities };
+}
+
+function getIndex() {
+  if (!index) index = buildIndex();
+  return index;
+}
+
+// Resolve structured place fields, most precise first. Returns
+// { lat, lon, precision: "zip" | "city" | "state" } or null.
+function lookupPlace({ postal_code, city, state } = {}) {
+  const { zips, cities } = getIndex();
+  const zip = /\b(\d{5})(?:-\d{4})?\b/.exec(String(postal_code || ""));
+  if (zip && zips.has(zip[1])) return { ...zips.get(zip[1]), precision: "zip" };
+  const st = findState(state);
+  if (!st) return null;
+  if (city) {
+    const hit = cities.get(cityKey(city, st.abbr));
+    if (hit) return { ...hit, precision: "city" };
+  }
+  return { lat: st.lat, lon: st.lon, precision: "state" };
+}
+
+// Pull place fields out of a free-form "street, city, state, country" query
+function parsePlaceQuery(query) {
+  const parts = String(query)
+    .split(",")
+    .map((p) => p.trim())
+    .filter(Boolean);
+  const zip = /\b\d{5}(?:-\d{4})?\b/.exec(String(query));
+  let stateIdx = -1;
+  for (let i = parts.length - 1; i >= 0; i--) {
+    const bare = parts[i].replace(/\s+\d{5}(?:-\d{4})?$/, "");
+    if (findState(bare)) {
+      stateIdx = i;
+      break;
+    }
+  }
+  return {
+    postal_code: zip ? zip[0] : null,
+    state:
+      stateIdx >= 0
+        ? parts[stateIdx].replace(/\s+\d{5}(?:-\d{4})?$/, "")
+        : null,
+    city: stateIdx > 0 ? parts[stateIdx - 1] : null,
+  };
+}
+
+module.exports = { lookupPlace, parsePlaceQuery };
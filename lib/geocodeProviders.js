@@ -0,0 +1,186 @@
+const https = require("https");
+const http = require("http");
+const fs = require("fs");
+const { lookupPlace, parsePlaceQuery } = require("./gazetteer");
+const { logger } = require("./logger");
+
+const log = logger.child({ module: "geocode" });
+
+// Geocoding providers share one shape:
+//   { name, intervalMs, geocode(query, hints) -> Promise<{ lat, lon, precision } | null> }
+// `hints` optionally carries structured { city, state, postal_code } fields for the
+// same place. `precision` is "street", "zip", "city" or "state". `intervalMs` is the
+// minimum gap the geocoder's worker leaves between two calls to the provider; null
+// means "no match", a rejection means "try again later".
+
+function getJson(url, { headers = {}, timeoutMs = 15000 } = {}) {
+  const client = url.startsWith("https:") ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.get(url, { headers, timeout: timeoutMs }, (res) => {
+      let data = "";
+      res.on("data", (chunk) => {
+        data += chunk;
+      });
+      res.on("end", () => {
+        if (res.statusCode >= 400) {
+          const err = new Error(`HTTP ${res.statusCode}`);
+          err.status = res.statusCode;
+          return reject(err);
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch (err) {
+          reject(err);
+        }
+      });
+    });
+    req.on("timeout", () => {
+      req.destroy();
+      reject(new Error("Request timeout"));
+    });
+    req.on("error", reject);
+  });
+}
+
+// Nominatim reports what kind of place it matched; fold that into our precision scale
+function nominatimPrecision(hit) {
+  const kind = hit.addresstype || hit.type;
+  if (kind === "postcode") return "zip";
+  if (kind === "state") return "state";
+  if (
+    ["city", "town", "village", "hamlet", "municipality", "county"].includes(
+      kind
+    )
+  )
+    return "city";
+  return "street";
+}
+
+// Nominatim (OpenStreetMap). Their usage policy asks for at most one request per
+// second and an identifying User-Agent.
+function createNominatimProvider(options = {}) {
+  const baseUrl = (
+    options.baseUrl || "https://nominatim.openstreetmap.org"
+  ).replace(/\/$/, "");
+  const userAgent =
+    options.userAgent || "Hazard-Atlas-RecallTool/1.0 (server geocoder)";
+  return {
+    name: "nominatim",
+    intervalMs: options.intervalMs || 1100,
+    async geocode(query) {
+      const url = `${baseUrl}/search?format=json&limit=1&q=${encodeURIComponent(
+        query
+      )}`;
+      const data = await getJson(url, { headers: { "User-Agent": userAgent } });
+      const hit = Array.isArray(data) && data.length ? data[0] : null;
+      return hit
+        ? {
+            lat: parseFloat(hit.lat),
+            lon: parseFloat(hit.lon),
+            precision: nominatimPrecision(hit),
+          }
+        : null;
+    },
+  };
+}
+
+// Offline stand-in that answers from a fixed table ({ "<query>": { lat, lon } }),
+// matched case-insensitively. Used for tests and air-gapped runs.
+function createStaticProvider(options = {}) {
+  let table = options.table || {};
+  if (options.file) table = JSON.parse(fs.readFileSync(options.file, "utf8"));
+  const lookup = new Map(
+    Object.entries(table).map(([q, v]) => [q.trim().toLowerCase(), v])
+  );
+  return {
+    name: "static",
+    intervalMs: 0,
+    async geocode(query) {
+      const hit = lookup.get(String(query).trim().toLowerCase());
+      return hit
+        ? {
+            lat: Number(hit.lat),
+            lon: Number(hit.lon),
+            precision: hit.precision || "street",
+          }
+        : null;
+    },
+  };
+}
+
+// Bundled US gazetteer (ZIP, city and state centroids). Never touches the network,
+// so it doubles as the fallback when the primary provider is unavailable.
+function createGazetteerProvider() {
+  return {
+    name: "gazetteer",
+    intervalMs: 0,
+    async geocode(query, hints) {
+      const parsed = parsePlaceQuery(query);
+      return (hints && lookupPlace(hints)) || lookupPlace(parsed) || null;
+    },
+  };
+}
+
+// Try `primary`, then `fallback` when it fails or finds nothing. After a primary
+// failure the primary is skipped for `cooldownMs` so a dead upstream does not cost a
+// timeout per address. Answers given because the primary failed are flagged
+// `provisional` so the geocoder can retry them later.
+function createFallbackProvider(primary, fallback, options = {}) {
+  const cooldownMs = options.cooldownMs || 5 * 60 * 1000;
+  let skipUntil = 0;
+  return {
+    name: `${primary.name}+${fallback.name}`,
+    get intervalMs() {
+      return Date.now() < skipUntil ? fallback.intervalMs : primary.intervalMs;
+    },
+    async geocode(query, hints) {
+      if (Date.now() >= skipUntil) {
+        try {
+          const hit = await primary.geocode(query, hints);
+          if (hit) return { ...hit, provider: primary.name };
+          const alt = await fallback.geocode(query, hints);
+          return alt ? { ...alt, provider: fallback.name } : null;
+        } catch (err) {
+          skipUntil = Date.now() + cooldownMs;
+          log.warn("Geocoding provider failed, using fallback", {
+            provider: primary.name,
+            fallback: fallback.name,
+            err,
+          });
+        }
+      }
+      const alt = await fallback.geocode(query, hints);
+      return alt
+        ? { ...alt, provider: fallback.name, provisional: true }
+        : null;
+    },
+  };
+}
+
+// Build the provider named by GEOCODER_PROVIDER (defaults to Nominatim). Nominatim
+// falls back to the offline gazetteer unless GEOCODER_FALLBACK=none.
+function createProviderFromEnv(env = process.env) {
+  const name = (env.GEOCODER_PROVIDER || "nominatim").toLowerCase();
+  if (name === "static") {
+    return createStaticProvider({ file: env.GEOCODER_STATIC_FILE });
+  }
+  if (name === "gazetteer") return createGazetteerProvider();
+  if (name !== "nominatim") {
+    throw new Error(`Unknown GEOCODER_PROVIDER "${env.GEOCODER_PROVIDER}"`);
+  }
+  const nominatim = createNominatimProvider({
+    baseUrl: env.NOMINATIM_BASE_URL,
+    userAgent: env.NOMINATIM_USER_AGENT,
+    intervalMs: Number(env.NOMINATIM_INTERVAL_MS) || undefined,
+  });
+  if ((env.GEOCODER_FALLBACK || "").toLowerCase() === "none") return nominatim;
+  return createFallbackProvider(nominatim, createGazetteerProvider());
+}
+
+module.exports = {
+  createNominatimProvider,
+  createStaticProvider,
+  createGazetteerProvider,
+  createFallbackProvider,
+  createProviderFromEnv,
+};
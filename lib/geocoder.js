@@ -0,0 +1,214 @@
+const fs = require("fs");
+const { logger } = require("./logger");
+const { createJsonFile } = require("./jsonFile");
+
+const log = logger.child({ module: "geocode" });
+
+// Same address string the browser used to build, so existing cache keys line up
+function addressKey(rec) {
+  return [rec.address_1, rec.city, rec.state, rec.country]
+    .filter(Boolean)
+    .join(", ");
+}
+
+// Structured place fields a provider can use when the address string is unusable
+function placeHints(rec) {
+  return { city: rec.city, state: rec.state, postal_code: rec.postal_code };
+}
+
+// Server-side geocoder: one persistent cache shared by every request and one worker
+// queue that calls the provider no faster than its `intervalMs`. Misses are cached
+// for `missTtlMs` so an unknown address is not looked up again on every page load.
+// Provisional answers (a fallback used while the primary provider was down) expire
+// after `provisionalTtlMs` so the address is retried upstream. The cache keeps at
+// most `maxEntries` addresses (least recently resolved drop first) and the queue
+// at most `maxQueue` lookups; geocode() rejects with code "GEOCODE_QUEUE_FULL"
+// beyond that. Provider latency goes to `options.metrics` (lib/metrics.js) when given.
+function createGeocoder(options = {}) {
+  const provider = options.provider;
+  const latency =
+    options.metrics &&
+    options.metrics.histogram(
+      "upstream_request_duration_seconds",
+      "Upstream request latency by upstream, endpoint and outcome"
+    );
+  const file = options.file;
+  const provisionalTtlMs = options.provisionalTtlMs || 60 * 60 * 1000;
+  const missTtlMs = options.missTtlMs || 24 * 60 * 60 * 1000;
+  const maxEntries = options.maxEntries || 50000;
+  const maxQueue = options.maxQueue || 500;
+  const cache = new Map();
+  const queue = [];
+  // query -> promise, so the same address is only queued once
+  const pending = new Map();
+  let running = false;
+  let saveTimer = null;
+
+  // Copy the file's entries into the cache where they are newer than ours (or we
+  // have none), so instances writing the same file keep each other's lookups
+  function merge() {
+    const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    Object.entries((raw && raw.entries) || {}).forEach(([q, v]) => {
+      const mine = cache.get(q);
+      if (v && (!mine || Date.parse(v.at) > Date.parse(mine.at)))
+        cache.set(q, v);
+    });
+    evict();
+  }
+
+  function load() {
+    if (!file) return;
+    try {
+      merge();
+      log.info("Geocache loaded", { entries: cache.size, file });
+    } catch (e) {
+      if (e.code !== "ENOENT") {
+        log.warn("Geocache load failed", { file, err: e });
+      }
+    }
+  }
+
+  const { save } = createJsonFile({
+    file,
+    label: "Geocache",
+    log,
+    // re-read before every write so another instance's lookups are not lost
+    snapshot: () => {
+      try {
+        merge();
+      } catch (e) {
+        if (e.code !== "ENOENT")
+          log.warn("Geocache merge failed", { file, err: e });
+      }
+      return { version: 1, entries: Object.fromEntries(cache) };
+    },
+  });
+
+  // Drop the oldest entries (Map order is insertion order) beyond maxEntries
+  function evict() {
+    for (const key of cache.keys()) {
+      if (cache.size <= maxEntries) break;
+      cache.delete(key);
+    }
+  }
+
+  // Lookups arrive in bursts; coalesce their writes into one save
+  function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      save();
+    }, 2000);
+    saveTimer.unref();
+  }
+
+  // Cached coordinates for a query: { lat, lon, precision }, null for a known miss,
+  // or undefined when the query has never been resolved (or its answer expired).
+  // Misses from older cache files were stored as a bare null and count as expired.
+  function peek(query) {
+    if (!cache.has(query)) return undefined;
+    const hit = cache.get(query);
+    if (!hit) return undefined;
+    const age = Date.now() - Date.parse(hit.at);
+    if (hit.miss) return age > missTtlMs ? undefined : null;
+    if (hit.provisional && age > provisionalTtlMs) return undefined;
+    return { lat: hit.lat, lon: hit.lon, precision: hit.precision || "street" };
+  }
+
+  async function runQueue() {
+    running = true;
+    while (queue.length) {
+      const { query, hints, resolve, reject } = queue.shift();
+      const start = Date.now();
+      const observe = (outcome) =>
+        latency &&
+        latency.since(
+          { upstream: "geocoder", endpoint: provider.name, outcome },
+          start
+        );
+      try {
+        const val = await provider.geocode(query, hints);
+        observe(val ? "ok" : "no_match");
+        const at = new Date().toISOString();
+        cache.delete(query);
+        cache.set(
+          query,
+          val
+            ? {
+                lat: val.lat,
+                lon: val.lon,
+                precision: val.precision || "street",
+                provider: val.provider || provider.name,
+                provisional: val.provisional || undefined,
+                at,
+              }
+            : { miss: true, at }
+        );
+        evict();
+        scheduleSave();
+        resolve(peek(query));
+      } catch (err) {
+        // provider failures are not cached; the address is retried next time
+        observe("error");
+        reject(err);
+      }
+      if (provider.intervalMs && queue.length) {
+        await new Promise((r) => setTimeout(r, provider.intervalMs));
+      }
+    }
+    running = false;
+  }
+
+  // Resolve a query through the cache, queueing a provider lookup on a miss
+  function geocode(query, hints) {
+    const cached = peek(query);
+    if (cached !== undefined) return Promise.resolve(cached);
+    if (pending.has(query)) return pending.get(query);
+    if (queue.length >= maxQueue) {
+      const err = new Error("Geocoding queue is full");
+      err.code = "GEOCODE_QUEUE_FULL";
+      return Promise.reject(err);
+    }
+    const p = new Promise((resolve, reject) => {
+      queue.push({ query, hints, resolve, reject });
+      if (!running) runQueue();
+    }).finally(() => pending.delete(query));
+    pending.set(query, p);
+    return p;
+  }
+
+  // Return copies of `records` with lat/lon/geo_precision from the cache. Addresses
+  // that have not been resolved yet are queued in the background for the next request.
+  function attach(records) {
+    return records.map((rec) => {
+      if (rec.lat && rec.lon) return rec;
+      const key = addressKey(rec);
+      if (!key) return rec;
+      const hit = peek(key);
+      if (hit) {
+        return {
+          ...rec,
+          lat: hit.lat,
+          lon: hit.lon,
+          geo_precision: hit.precision,
+        };
+      }
+      if (hit === undefined) {
+        // a full queue is left for a later request to fill again
+        geocode(key, placeHints(rec)).catch((e) => {
+          if (e.code !== "GEOCODE_QUEUE_FULL")
+            log.warn("Background geocode failed", { address: key, err: e });
+        });
+      }
+      return rec;
+    });
+  }
+
+  function queueDepth() {
+    return queue.length;
+  }
+
+  return { load, save, peek, geocode, attach, queueDepth };
+}
+
+module.exports = { createGeocoder, addressKey };
@@ -0,0 +1,52 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Atomic, serialized persistence for the server's JSON data files (recall cache,
+// geocache, watchlists, status history, alert seen-set). Each write goes to a temp
+// file renamed over the target, so a crash never leaves a truncated file. Writes
+// run one at a time: saves requested while one is in progress share a single
+// follow-up write of the state at that point, so an older snapshot never lands
+// after a newer one and the temp file is never written twice at once.
+//
+// `snapshot()` returns the object to persist and is called when a write starts.
+// `label` names the file in log messages ("Recall cache save failed").
+function createJsonFile({ file, label, log, snapshot }) {
+  // host and pid, so instances sharing the directory never write the same temp file
+  const tmp = `${file}.${os.hostname()}.${process.pid}.tmp`;
+  let writing = null;
+  let queued = null;
+
+  async function write() {
+    try {
+      const body = JSON.stringify(snapshot());
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(tmp, body);
+      await fs.promises.rename(tmp, file);
+    } catch (e) {
+      log.warn(`${label} save failed`, { file, err: e });
+    }
+  }
+
+  function start() {
+    queued = null;
+    writing = write().finally(() => {
+      writing = null;
+    });
+    return writing;
+  }
+
+  // Resolves once the state as of this call is on disk (or the write has failed
+  // and been logged); never rejects
+  function save() {
+    if (!file) return Promise.resolve();
+    if (queued) return queued;
+    if (!writing) return start();
+    queued = writing.then(start);
+    return queued;
+  }
+
+  return { save };
+}
+
+module.exports = { createJsonFile };
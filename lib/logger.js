@@ -0,0 +1,118 @@
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Structured JSON logger. Every line is one JSON object on stdout (warn and error on
+// stderr) with time, level, msg, the logger's bindings (e.g. module) and, inside a
+// request, its request_id. The request context travels with async calls, so
+// upstream openFDA requests made for a request are tagged without passing it along.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const context = new AsyncLocalStorage();
+
+// Loggable form of an Error; the stack stays in the logs, never in responses
+function serializeError(err) {
+  if (!(err instanceof Error)) return err;
+  const out = { message: err.message, name: err.name };
+  if (err.status) out.status = err.status;
+  if (err.code) out.code = err.code;
+  if (err.stack) out.stack = err.stack;
+  return out;
+}
+
+// Current request's fields ({ request_id }), or {} outside a request
+function requestContext() {
+  return context.getStore() || {};
+}
+
+function createLogger(options = {}) {
+  const threshold =
+    LEVELS[String(options.level || "info").toLowerCase()] || LEVELS.info;
+  const bindings = options.bindings || {};
+  const write =
+    options.write ||
+    ((level, line) =>
+      (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(
+        line + "\n"
+      ));
+
+  function log(level, msg, fields) {
+    if (LEVELS[level] < threshold) return;
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...bindings,
+      ...requestContext(),
+    };
+    Object.entries(fields || {}).forEach(([key, value]) => {
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    });
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (e) {
+      // circular or otherwise unserializable fields
+      line = JSON.stringify({ time: entry.time, level, msg, ...bindings });
+    }
+    write(level, line);
+  }
+
+  return {
+    debug: (msg, fields) => log("debug", msg, fields),
+    info: (msg, fields) => log("info", msg, fields),
+    warn: (msg, fields) => log("warn", msg, fields),
+    error: (msg, fields) => log("error", msg, fields),
+    child: (more) =>
+      createLogger({ ...options, bindings: { ...bindings, ...more } }),
+  };
+}
+
+// Shared logger; LOG_LEVEL is debug, info (default), warn, error or silent
+const logger = createLogger({ level: process.env.LOG_LEVEL });
+
+// Client-supplied ids are kept when they look like ids, so a trace can start upstream
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+
+// Express middleware: assigns each request an id (X-Request-Id in or a new UUID),
+// echoes it in the X-Request-Id response header, runs the rest of the request in
+// its log context and logs the finished request.
+function requestLogger(log = logger) {
+  return (req, res, next) => {
+    const incoming = req.get("X-Request-Id");
+    const id =
+      incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+    req.id = id;
+    res.set("X-Request-Id", id);
+    const start = Date.now();
+    context.run({ request_id: id }, () => {
+      res.on("finish", () => {
+        const path = req.originalUrl.split("?")[0];
+        // API calls at info; static files and probes only at debug
+        const level =
+          res.statusCode >= 500
+            ? "error"
+            : path.startsWith("/api/")
+            ? "info"
+            : "debug";
+        // listeners can run outside the request context, so pass the id along
+        log[level]("request", {
+          request_id: id,
+          method: req.method,
+          path,
+          status: res.statusCode,
+          duration_ms: Date.now() - start,
+        });
+      });
+      next();
+    });
+  };
+}
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  logger,
+  requestContext,
+  requestLogger,
+  serializeError,
+};
@@ -0,0 +1,158 @@
+// Minimal Prometheus registry for /metrics: counters, gauges and histograms with
+// labels, rendered in the text exposition format. Registering a name twice returns
+// the existing metric, so modules can share one (e.g. upstream latency).
+const { logger } = require("./logger");
+
+const log = logger.child({ module: "metrics" });
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function labelText(labels) {
+  const keys = Object.keys(labels || {});
+  if (!keys.length) return "";
+  return `{${keys.map((k) => `${k}="${escapeLabel(labels[k])}"`).join(",")}}`;
+}
+
+function formatValue(v) {
+  if (v === Infinity) return "+Inf";
+  if (v === -Infinity) return "-Inf";
+  return String(v);
+}
+
+function createMetrics() {
+  const metrics = new Map();
+
+  function register(name, type, help, create) {
+    const existing = metrics.get(name);
+    if (existing) {
+      if (existing.type !== type)
+        throw new Error(`Metric ${name} is already a ${existing.type}`);
+      return existing.api;
+    }
+    // label text -> value (histograms: { labels, counts, sum, count })
+    const series = new Map();
+    const metric = { name, type, help, series };
+    metric.api = create(metric);
+    metrics.set(name, metric);
+    return metric.api;
+  }
+
+  function counter(name, help) {
+    return register(name, "counter", help, ({ series }) => ({
+      inc(labels, n = 1) {
+        const key = labelText(labels);
+        series.set(key, (series.get(key) || 0) + n);
+      },
+      get(labels) {
+        return series.get(labelText(labels)) || 0;
+      },
+    }));
+  }
+
+  // `collect`, when given, is called at render time and returns the value, or a
+  // list of { labels, value }
+  function gauge(name, help, collect) {
+    return register(name, "gauge", help, (metric) => {
+      metric.collect = collect;
+      return {
+        set(labels, value) {
+          metric.series.set(labelText(labels), value);
+        },
+      };
+    });
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    return register(name, "histogram", help, (metric) => {
+      metric.buckets = buckets.slice().sort((a, b) => a - b);
+      function observe(labels, value) {
+        const key = labelText(labels);
+        let s = metric.series.get(key);
+        if (!s) {
+          s = {
+            labels: labels || {},
+            counts: metric.buckets.map(() => 0),
+            sum: 0,
+            count: 0,
+          };
+          metric.series.set(key, s);
+        }
+        metric.buckets.forEach((le, i) => {
+          if (value <= le) s.counts[i]++;
+        });
+        s.sum += value;
+        s.count++;
+      }
+      return {
+        observe,
+        // observe the seconds elapsed since `start` (a Date.now() value)
+        since(labels, start) {
+          observe(labels, (Date.now() - start) / 1000);
+        },
+      };
+    });
+  }
+
+  function renderMetric(metric) {
+    const lines = [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+    ];
+    if (metric.type === "histogram") {
+      metric.series.forEach((s) => {
+        metric.buckets.forEach((le, i) => {
+          lines.push(
+            `${metric.name}_bucket${labelText({
+              ...s.labels,
+              le: formatValue(le),
+            })} ${s.counts[i]}`
+          );
+        });
+        lines.push(
+          `${metric.name}_bucket${labelText({ ...s.labels, le: "+Inf" })} ${
+            s.count
+          }`
+        );
+        lines.push(`${metric.name}_sum${labelText(s.labels)} ${s.sum}`);
+        lines.push(`${metric.name}_count${labelText(s.labels)} ${s.count}`);
+      });
+      return lines;
+    }
+    if (metric.collect) {
+      const collected = metric.collect();
+      const rows = Array.isArray(collected)
+        ? collected
+        : [{ labels: {}, value: collected }];
+      rows.forEach((r) =>
+        metric.series.set(labelText(r.labels), Number(r.value))
+      );
+    }
+    metric.series.forEach((value, key) => {
+      lines.push(`${metric.name}${key} ${formatValue(value)}`);
+    });
+    return lines;
+  }
+
+  function render() {
+    const lines = [];
+    metrics.forEach((metric) => {
+      try {
+        lines.push(...renderMetric(metric));
+      } catch (e) {
+        log.warn("Metric failed to render", { metric: metric.name, err: e });
+      }
+    });
+    return lines.join("\n") + "\n";
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = { createMetrics };
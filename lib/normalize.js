@@ -0,0 +1,78 @@
+const { parseDistribution } = require("./distribution");
+const { recallId } = require("./recallIds");
+const { extractCodes } = require("./productCodes");
+const HazardCategories = require("../public/hazards");
+
+// openFDA enforcement rows -> the unified recall record every endpoint, the cache
+// and the browser work with.
+
+// Helper to transform openFDA report_date (YYYYMMDD) to ISO string
+function parseReportDate(val) {
+  try {
+    const s = String(val);
+    if (s.length !== 8) return null;
+    const y = s.slice(0, 4);
+    const m = s.slice(4, 6);
+    const d = s.slice(6, 8);
+    return new Date(`${y}-${m}-${d}`).toISOString();
+  } catch (e) {
+    return null;
+  }
+}
+
+// Distinct, trimmed names from one of the `openfda` block's lists
+function openFdaNames(item, field) {
+  const list = item.openfda && item.openfda[field];
+  const names = [].concat(list || []).map((n) => String(n).trim());
+  return Array.from(new Set(names.filter(Boolean)));
+}
+
+function normalize(item, type) {
+  const distribution = parseDistribution(item.distribution_pattern);
+  const hazards = HazardCategories.categorize(item.reason_for_recall);
+  const codes = extractCodes(item);
+  return {
+    id: recallId(item),
+    type,
+    recall_number: item.recall_number || null,
+    event_id: item.event_id || null,
+    report_date: parseReportDate(item.report_date) || null,
+    raw_report_date: item.report_date || null,
+    classification: item.classification || null,
+    // openFDA documents "On-Going" but publishes "Ongoing"
+    status: /^on-?going$/i.test(item.status || "")
+      ? "Ongoing"
+      : item.status || null,
+    termination_date: parseReportDate(item.termination_date) || null,
+    raw_termination_date: item.termination_date || null,
+    recall_initiation_date:
+      parseReportDate(item.recall_initiation_date) || null,
+    raw_recall_initiation_date: item.recall_initiation_date || null,
+    product_description: item.product_description || item.product_type || null,
+    // drug recalls name the product in openFDA's `openfda` block; NDCs and UPCs
+    // also come from the description and code info (lib/productCodes.js)
+    brand_names: openFdaNames(item, "brand_name"),
+    generic_names: openFdaNames(item, "generic_name"),
+    manufacturer_names: openFdaNames(item, "manufacturer_name"),
+    ndc_codes: codes.ndc,
+    upc_codes: codes.upc,
+    recalling_firm: item.recalling_firm || null,
+    reason_for_recall: item.reason_for_recall || null,
+    hazard_categories: hazards.categories,
+    allergens: hazards.allergens,
+    product_quantity: item.product_quantity || null,
+    code_info: item.code_info || null,
+    address_1: item.address_1 || item.distribution_pattern || null,
+    city: item.city || null,
+    state: item.state || null,
+    postal_code: item.postal_code || null,
+    country: item.country || "USA",
+    distribution_pattern: item.distribution_pattern || null,
+    distribution_states: distribution.states,
+    distribution_nationwide: distribution.nationwide,
+    distribution_countries: distribution.countries,
+    original: item,
+  };
+}
+
+module.exports = { parseReportDate, normalize };
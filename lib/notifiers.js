@@ -0,0 +1,118 @@
+const https = require("https");
+const http = require("http");
+const net = require("net");
+const os = require("os");
+
+// Alert delivery: JSON webhooks and a plain SMTP sink. The SMTP client speaks just
+// enough of the protocol for a local relay or mail catcher (no TLS, no auth).
+
+function postJson(url, body, { timeoutMs = 10000 } = {}) {
+  const client = url.startsWith("https:") ? https : http;
+  const payload = JSON.stringify(body);
+  return new Promise((resolve, reject) => {
+    const req = client.request(
+      url,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(payload),
+          "User-Agent": "HazardAtlas/1.0 (alerts)",
+        },
+        timeout: timeoutMs,
+      },
+      (res) => {
+        res.resume();
+        res.on("end", () => {
+          if (res.statusCode >= 400) {
+            const err = new Error(`Webhook responded HTTP ${res.statusCode}`);
+            err.status = res.statusCode;
+            return reject(err);
+          }
+          resolve(res.statusCode);
+        });
+      }
+    );
+    req.on("timeout", () => {
+      req.destroy();
+      reject(new Error("Webhook timeout"));
+    });
+    req.on("error", reject);
+    req.end(payload);
+  });
+}
+
+// Send one message over SMTP. Resolves once the server accepts it.
+function sendMail({
+  host,
+  port = 25,
+  from,
+  to,
+  subject,
+  text,
+  timeoutMs = 10000,
+}) {
+  const recipients = Array.isArray(to) ? to : [to];
+  const headers = [
+    `From: ${from}`,
+    `To: ${recipients.join(", ")}`,
+    `Subject: ${String(subject).replace(/[\r\n]+/g, " ")}`,
+    `Date: ${new Date().toUTCString()}`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit",
+  ];
+  // normalise line endings and dot-stuff lines that start with "."
+  const body = String(text).replace(/\r?\n/g, "\r\n").replace(/^\./gm, "..");
+  // [what we send, reply codes we accept, name for errors]
+  const steps = [
+    [null, [220], "greeting"],
+    [`EHLO ${os.hostname() || "localhost"}`, [250], "EHLO"],
+    [`MAIL FROM:<${from}>`, [250], "MAIL FROM"],
+    // 251: "user not local; will forward"
+    ...recipients.map((r) => [`RCPT TO:<${r}>`, [250, 251], `RCPT TO ${r}`]),
+    ["DATA", [354], "DATA"],
+    [`${headers.join("\r\n")}\r\n\r\n${body}\r\n.`, [250], "message"],
+    ["QUIT", [221], "QUIT"],
+  ];
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    let buffer = "";
+    let step = 0;
+    let settled = false;
+    const finish = (err) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      if (err) reject(err);
+      else resolve();
+    };
+    socket.setTimeout(timeoutMs, () => finish(new Error("SMTP timeout")));
+    socket.on("error", finish);
+    socket.on("close", () =>
+      finish(
+        step < steps.length ? new Error("SMTP connection closed early") : null
+      )
+    );
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      // a reply is complete at a line "NNN text" (multi-line replies use "NNN-")
+      let m;
+      while ((m = /^(\d{3})([ -])[^\n]*\n/.exec(buffer))) {
+        buffer = buffer.slice(m[0].length);
+        if (m[2] === "-") continue;
+        const code = Number(m[1]);
+        if (!steps[step][1].includes(code))
+          return finish(
+            new Error(`SMTP ${steps[step][2]} failed: ${m[0].trim()}`)
+          );
+        step++;
+        if (step === steps.length) return finish(null);
+        socket.write(steps[step][0] + "\r\n");
+      }
+    });
+  });
+}
+
+module.exports = { postJson, sendMail };
@@ -0,0 +1,329 @@
+const https = require("https");
+const http = require("http");
+const { recallId } = require("./recallIds");
+const { logger, requestContext } = require("./logger");
+
+const log = logger.child({ module: "openfda" });
+
+// openFDA client shared by every request this process makes. Requests pass through
+// one scheduler that holds a per-minute and a per-day token bucket sized to the
+// openFDA quotas, and pauses everyone when openFDA answers 429. Query errors (other
+// 4xx) fail at once; network errors, 5xx and broken JSON are retried with backoff.
+
+// openFDA quotas per API key, or per IP without one
+const DEFAULT_LIMITS = {
+  anonymous: { perMinute: 240, perDay: 1000 },
+  keyed: { perMinute: 240, perDay: 120000 },
+};
+// openFDA rejects larger `skip` values
+const MAX_SKIP = 25000;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Token bucket holding `capacity` tokens, refilled evenly over `intervalMs`
+function createTokenBucket({ capacity, intervalMs }) {
+  const rate = capacity / intervalMs;
+  let tokens = capacity;
+  let last = Date.now();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + (now - last) * rate);
+    last = now;
+  }
+
+  // ms until a token is available (0 when one is available now)
+  function wait() {
+    refill();
+    return tokens >= 1 ? 0 : Math.ceil((1 - tokens) / rate);
+  }
+
+  function take() {
+    refill();
+    tokens -= 1;
+  }
+
+  return { wait, take };
+}
+
+// Retry-After as ms: delta seconds or an HTTP date. null when absent or unreadable.
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (/^\d+$/.test(String(value).trim())) return Number(value) * 1000;
+  const at = Date.parse(value);
+  return isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function withApiKey(endpointUrl, apiKey) {
+  // openFDA guidance puts the key before other query params
+  if (!apiKey || endpointUrl.includes("api_key=")) return endpointUrl;
+  const key = `api_key=${encodeURIComponent(apiKey)}`;
+  return endpointUrl.includes("?")
+    ? endpointUrl.replace("?", `?${key}&`)
+    : `${endpointUrl}?${key}`;
+}
+
+// One GET; resolves to the parsed JSON body. HTTP errors carry `status` (and
+// `retryAfterMs` for 429s).
+function getJson(url, timeoutMs) {
+  // tag the call with the request it is made for, when there is one
+  const requestId = requestContext().request_id;
+  const headers = requestId ? { "X-Request-Id": requestId } : {};
+  return new Promise((resolve, reject) => {
+    // plain http only for local stand-ins (tests, mirrors)
+    const client = url.startsWith("http:") ? http : https;
+    const req = client.get(
+      url,
+      { timeout: timeoutMs, family: 4, headers },
+      (res) => {
+        let data = "";
+        res.on("data", (chunk) => {
+          data += chunk;
+        });
+        res.on("end", () => {
+          if (res.statusCode >= 400) {
+            const snippet =
+              data && data.length > 500 ? data.slice(0, 500) + "..." : data;
+            const httpErr = new Error(`HTTP ${res.statusCode}: ${snippet}`);
+            httpErr.status = res.statusCode;
+            if (res.statusCode === 429)
+              httpErr.retryAfterMs = parseRetryAfter(
+                res.headers["retry-after"]
+              );
+            return reject(httpErr);
+          }
+          try {
+            resolve(JSON.parse(data));
+          } catch (err) {
+            reject(err);
+          }
+        });
+      }
+    );
+    req.on("timeout", () => {
+      req.destroy();
+      reject(new Error("Request timeout"));
+    });
+    req.on("error", reject);
+  });
+}
+
+// Endpoint label for metrics, e.g. "food" for /food/enforcement.json
+function endpointLabel(url) {
+  try {
+    return new URL(url).pathname.split("/")[1] || "unknown";
+  } catch (e) {
+    return "unknown";
+  }
+}
+
+// options: { apiKey, limits: { perMinute, perDay }, timeoutMs, maxWaitMs,
+// retryBaseMs, metrics }. retryBaseMs is the first retry's backoff (doubling after).
+// maxWaitMs is the longest a request queues for a token or a Retry-After before
+// it fails instead (a spent daily quota would otherwise hold it for hours).
+// `metrics` (lib/metrics.js) receives request latency and retry counts.
+function createOpenFdaClient(options = {}) {
+  const apiKey = options.apiKey || null;
+  const defaults = DEFAULT_LIMITS[apiKey ? "keyed" : "anonymous"];
+  const limits = {
+    perMinute:
+      (options.limits && options.limits.perMinute) || defaults.perMinute,
+    perDay: (options.limits && options.limits.perDay) || defaults.perDay,
+  };
+  const timeoutMs = options.timeoutMs || 30000;
+  const maxWaitMs = options.maxWaitMs || 60000;
+  const retryBaseMs =
+    options.retryBaseMs === undefined ? 700 : options.retryBaseMs;
+  const buckets = [
+    createTokenBucket({ capacity: limits.perMinute, intervalMs: MINUTE_MS }),
+    createTokenBucket({ capacity: limits.perDay, intervalMs: DAY_MS }),
+  ];
+  const metrics = options.metrics;
+  const latency =
+    metrics &&
+    metrics.histogram(
+      "upstream_request_duration_seconds",
+      "Upstream request latency by upstream, endpoint and outcome"
+    );
+  const retries =
+    metrics &&
+    metrics.counter(
+      "upstream_retries_total",
+      "Upstream requests retried, by upstream and reason"
+    );
+  // set from a 429's Retry-After; no request starts before it
+  let pausedUntil = 0;
+  // Date.now() of the last HTTP answer of any status
+  let lastContact = 0;
+  // requests take tokens one after another, in arrival order
+  let queue = Promise.resolve();
+
+  async function acquire() {
+    for (;;) {
+      const wait = Math.max(
+        pausedUntil - Date.now(),
+        ...buckets.map((b) => b.wait())
+      );
+      if (wait <= 0) {
+        buckets.forEach((b) => b.take());
+        return;
+      }
+      if (wait > maxWaitMs) {
+        const err = new Error(
+          `openFDA rate limit: next request slot in ${Math.ceil(wait / 1000)}s`
+        );
+        err.status = 429;
+        throw err;
+      }
+      await sleep(wait);
+    }
+  }
+
+  function schedule() {
+    const turn = queue.then(acquire);
+    queue = turn.catch(() => {});
+    return turn;
+  }
+
+  // GET an openFDA URL and return its JSON, retrying transient failures.
+  // `callOptions.timeoutMs` overrides the client's timeout for this call.
+  async function fetchJson(endpointUrl, attempts = 3, callOptions = {}) {
+    const url = withApiKey(endpointUrl, apiKey);
+    const endpoint = endpointLabel(endpointUrl);
+    for (let attempt = 1; ; attempt++) {
+      await schedule();
+      const start = Date.now();
+      try {
+        const result = await getJson(url, callOptions.timeoutMs || timeoutMs);
+        lastContact = Date.now();
+        if (latency)
+          latency.since(
+            { upstream: "openfda", endpoint, outcome: "ok" },
+            start
+          );
+        log.debug("openFDA request succeeded", {
+          endpoint,
+          attempt,
+          attempts,
+          duration_ms: Date.now() - start,
+        });
+        return result;
+      } catch (err) {
+        if (err.status) lastContact = Date.now();
+        if (latency)
+          latency.since(
+            {
+              upstream: "openfda",
+              endpoint,
+              outcome: err.status ? `http_${err.status}` : "error",
+            },
+            start
+          );
+        log.warn("openFDA request failed", {
+          endpoint,
+          attempt,
+          attempts,
+          status: err.status,
+          duration_ms: Date.now() - start,
+          error: err.message,
+        });
+        // 4xx are answers to the query itself (404 is "no matches"); only rate
+        // limiting is worth another try
+        const retryable =
+          !err.status || err.status === 429 || err.status >= 500;
+        if (!retryable || attempt >= attempts) throw err;
+        const backoff = retryBaseMs * Math.pow(2, attempt - 1);
+        if (retries)
+          retries.inc({
+            upstream: "openfda",
+            reason:
+              err.status === 429
+                ? "rate_limited"
+                : err.status
+                ? "server_error"
+                : "network",
+          });
+        if (err.status === 429) {
+          const delay =
+            err.retryAfterMs === null || err.retryAfterMs === undefined
+              ? backoff
+              : err.retryAfterMs;
+          if (delay > maxWaitMs) throw err;
+          log.warn("openFDA rate limited; pausing requests", {
+            delay_ms: delay,
+          });
+          pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+        } else {
+          log.info("Retrying openFDA request", { endpoint, delay_ms: backoff });
+          await sleep(backoff);
+        }
+      }
+    }
+  }
+
+  // Fetch up to maxRecords rows of a query sorted by report_date descending.
+  // `urlFor({ to })` builds the query URL, optionally with its report_date range
+  // ending at `to` (YYYYMMDD). Pages use limit/skip; once skip would pass openFDA's
+  // ceiling the range is cut at the oldest date reached and paging restarts there,
+  // skipping rows of that date already collected. Returns { results, total } where
+  // total is the match count openFDA reports for the whole query.
+  async function fetchAll(urlFor, maxRecords = 1000, pageSize = 100) {
+    const aggregated = [];
+    let total = 0;
+    let window = {};
+    let skip = 0;
+    // ids of rows on the current window's end date collected in earlier windows
+    let carried = new Set();
+    while (aggregated.length < maxRecords) {
+      const take = Math.min(pageSize, maxRecords - aggregated.length);
+      if (skip > MAX_SKIP) {
+        const last = aggregated[aggregated.length - 1];
+        const to = last && last.report_date;
+        if (!to || to === window.to) {
+          // one report date alone exceeds the ceiling; nothing more to reach
+          log.warn("openFDA skip ceiling reached", { report_date: to });
+          break;
+        }
+        window = { to };
+        skip = 0;
+        carried = new Set(
+          aggregated.filter((r) => r.report_date === to).map(recallId)
+        );
+      }
+      const url = `${urlFor(window)}&limit=${take}&skip=${skip}`;
+      let data;
+      try {
+        data = await fetchJson(url);
+      } catch (e) {
+        // openFDA answers a search without matches with 404 NOT_FOUND
+        if (e && e.status === 404) break;
+        // bubble up so caller can record the error and decide how to proceed
+        throw e;
+      }
+      const page = Array.isArray(data && data.results) ? data.results : [];
+      const meta = data && data.meta && data.meta.results;
+      if (!window.to && meta && meta.total) total = meta.total;
+      if (!page.length) break;
+      aggregated.push(
+        ...(carried.size ? page.filter((r) => !carried.has(recallId(r))) : page)
+      );
+      if (page.length < take) break;
+      skip += page.length;
+    }
+    return {
+      results: aggregated.slice(0, maxRecords),
+      total: Math.max(total, aggregated.length),
+    };
+  }
+
+  return { fetchJson, fetchAll, lastContact: () => lastContact };
+}
+
+module.exports = {
+  MAX_SKIP,
+  createTokenBucket,
+  parseRetryAfter,
+  createOpenFdaClient,
+};
@@ -0,0 +1,142 @@
+// Product codes on recall records: National Drug Codes (NDC) and UPC barcodes, from
+// the `openfda` block of drug recalls and from the product description and code
+// info, where firms print them on the recall notice. Records keep the codes as
+// written; lookups compare canonical forms so a package is found however its label
+// writes the code.
+//
+// An NDC is 10 digits in three segments (4-4-2, 5-3-2 or 5-4-1), or the same padded
+// to 11 digits (5-4-2) as pharmacy systems print it. The canonical form is the padded
+// 5-4-2 code, or 5-4 for a product NDC without its package segment. UPCs are compared
+// as 14-digit GTINs (left-padded with zeros).
+
+const NDC_WIDTHS = [5, 4, 2];
+const NDC_TEXT_RE = /\b\d{4,5}-\d{3,4}-\d{1,2}\b/g;
+const UPC_TEXT_RE = /\b(?:\d{12,14}|\d[ -]\d{5}[ -]\d{5}[ -]\d)\b/g;
+
+function pad(parts) {
+  return parts.map((p, i) => p.padStart(NDC_WIDTHS[i], "0")).join("-");
+}
+
+// Canonical forms an NDC may stand for: one for hyphenated codes and 11-digit runs,
+// up to three for an unhyphenated 10-digit run, none for text that is not an NDC
+function ndcCandidates(text) {
+  const s = String(text || "").trim();
+  const m = /^(\d{4,5})-(\d{3,4})(?:-(\d{1,2}))?$/.exec(s);
+  if (m) {
+    const parts = m.slice(1).filter((p) => p !== undefined);
+    const digits = parts.join("").length;
+    return digits >= (parts.length === 3 ? 10 : 8) ? [pad(parts)] : [];
+  }
+  if (/^\d{11}$/.test(s))
+    return [pad([s.slice(0, 5), s.slice(5, 9), s.slice(9)])];
+  if (/^\d{10}$/.test(s))
+    return [
+      [s.slice(0, 4), s.slice(4, 8), s.slice(8)],
+      [s.slice(0, 5), s.slice(5, 8), s.slice(8)],
+      [s.slice(0, 5), s.slice(5, 9), s.slice(9)],
+    ].map(pad);
+  return [];
+}
+
+// The ways a canonical NDC may be printed: itself and each 10-digit form left by
+// dropping one segment's padding zero ("00002-1433-80" -> "0002-1433-80")
+function ndcForms(canonical) {
+  const parts = canonical.split("-");
+  const forms = [canonical];
+  parts.forEach((p, i) => {
+    if (p[0] !== "0") return;
+    const short = parts.slice();
+    short[i] = p.slice(1);
+    forms.push(short.join("-"));
+  });
+  return forms;
+}
+
+// Two canonical NDCs name the same package, or one is the other's product code
+function sameNdc(a, b) {
+  return a === b || a.startsWith(b + "-") || b.startsWith(a + "-");
+}
+
+// "0 12345 67890 5" -> "012345678905"; null unless 12 to 14 digits
+function upcDigits(text) {
+  const digits = String(text || "").replace(/[\s-]/g, "");
+  return /^\d{12,14}$/.test(digits) ? digits : null;
+}
+
+// The ways a UPC may be printed: 12, 13 or 14 digits (where the extra leading
+// digits are zeros) and the "0 12345 67890 5" grouping of a 12-digit UPC-A
+function upcForms(digits) {
+  const gtin = digits.padStart(14, "0");
+  const forms = [12, 13, 14]
+    .filter((n) => /^0*$/.test(gtin.slice(0, 14 - n)))
+    .map((n) => gtin.slice(14 - n));
+  if (forms[0].length === 12) {
+    const a = forms[0];
+    forms.push(`${a[0]} ${a.slice(1, 6)} ${a.slice(6, 11)} ${a[11]}`);
+  }
+  return forms;
+}
+
+function unique(values) {
+  return Array.from(
+    new Set(values.filter(Boolean).map((v) => String(v).trim()))
+  );
+}
+
+// NDCs and UPCs of a raw openFDA row: openfda package codes first, then product
+// codes that no package code covers, then codes found in the text. Text is only
+// scanned for NDCs when it mentions "NDC" and for UPCs when it mentions "UPC".
+function extractCodes(item) {
+  const openfda = (item && item.openfda) || {};
+  const text = [item.product_description, item.code_info]
+    .filter(Boolean)
+    .join("\n");
+
+  const ndc = [];
+  const seen = [];
+  const addNdc = (code) => {
+    const canonical = ndcCandidates(code)[0];
+    if (!canonical || seen.some((c) => sameNdc(c, canonical))) return;
+    seen.push(canonical);
+    ndc.push(code);
+  };
+  unique([].concat(openfda.package_ndc || [])).forEach(addNdc);
+  unique([].concat(openfda.product_ndc || [])).forEach(addNdc);
+  if (/\bNDC/i.test(text)) (text.match(NDC_TEXT_RE) || []).forEach(addNdc);
+
+  const upc = [];
+  const addUpc = (code) => {
+    const digits = upcDigits(code);
+    if (!digits) return;
+    const gtin = digits.padStart(14, "0");
+    if (upc.some((u) => u.padStart(14, "0") === gtin)) return;
+    upc.push(digits);
+  };
+  unique([].concat(openfda.upc || [])).forEach(addUpc);
+  if (/\bUPC/i.test(text)) (text.match(UPC_TEXT_RE) || []).forEach(addUpc);
+
+  return { ndc, upc };
+}
+
+// Whether a unified record carries the NDC given as its canonical `candidates`
+function hasNdc(rec, candidates) {
+  return (rec.ndc_codes || []).some((code) =>
+    ndcCandidates(code).some((c) => candidates.some((q) => sameNdc(c, q)))
+  );
+}
+
+// Whether a unified record carries the UPC given as digits
+function hasUpc(rec, digits) {
+  const gtin = digits.padStart(14, "0");
+  return (rec.upc_codes || []).some((u) => u.padStart(14, "0") === gtin);
+}
+
+module.exports = {
+  ndcCandidates,
+  ndcForms,
+  upcDigits,
+  upcForms,
+  extractCodes,
+  hasNdc,
+  hasUpc,
+};
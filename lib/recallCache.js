@@ -0,0 +1,135 @@
+const fs = require("fs");
+const { logger } = require("./logger");
+const { createJsonFile } = require("./jsonFile");
+
+const log = logger.child({ module: "recall-cache" });
+
+// Cache for unified recall result sets, keyed by a query string (see
+// recallQuery.queryKey). Entries whose key passes `persist(key)` (all by default)
+// are also written to a single JSON file so a restarted server can answer
+// immediately with the last good pull; the others live in memory only. The
+// in-memory entries are capped at `maxBytes` of serialized results, oldest dropped
+// first, persisted ones never. A partial pull (some endpoints failed; the entry
+// carries `errors`) is only fresh for `partialTtlMs`, so the missing types are
+// retried soon instead of staying hidden for the full TTL.
+function createRecallCache(options = {}) {
+  const file = options.file;
+  const ttlMs = options.ttlMs || 60 * 60 * 1000;
+  const partialTtlMs = options.partialTtlMs || 5 * 60 * 1000;
+  const maxBytes = options.maxBytes || 64 * 1024 * 1024;
+  const persist = options.persist || (() => true);
+  const entries = new Map();
+  // key -> serialized size of the entry's results, measured once on set()
+  const sizes = new Map();
+  // in-flight loader promises so concurrent requests share one upstream pull
+  const pending = new Map();
+
+  function load() {
+    if (!file) return;
+    try {
+      const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+      Object.entries((raw && raw.entries) || {}).forEach(([key, entry]) => {
+        if (entry && Array.isArray(entry.results) && persist(key))
+          entries.set(key, entry);
+      });
+      log.info("Recall cache loaded", { entries: entries.size, file });
+    } catch (e) {
+      if (e.code !== "ENOENT") {
+        log.warn("Recall cache load failed", { file, err: e });
+      }
+    }
+  }
+
+  const { save } = createJsonFile({
+    file,
+    label: "Recall cache",
+    log,
+    snapshot: () => ({
+      version: 1,
+      entries: Object.fromEntries(
+        Array.from(entries).filter(([key]) => persist(key))
+      ),
+    }),
+  });
+
+  function peek(key) {
+    return entries.get(key) || null;
+  }
+
+  function isFresh(entry) {
+    if (!entry || !entry.fetched_at) return false;
+    const ttl = entry.errors && entry.errors.length ? partialTtlMs : ttlMs;
+    return Date.now() - Date.parse(entry.fetched_at) < ttl;
+  }
+
+  // Drop the oldest memory-only entries while their results exceed maxBytes
+  function evict() {
+    let total = 0;
+    sizes.forEach((bytes) => (total += bytes));
+    if (total <= maxBytes) return;
+    const byAge = Array.from(sizes.keys()).sort((a, b) =>
+      String(entries.get(a).fetched_at).localeCompare(
+        String(entries.get(b).fetched_at)
+      )
+    );
+    for (const key of byAge) {
+      if (total <= maxBytes) break;
+      total -= sizes.get(key);
+      sizes.delete(key);
+      entries.delete(key);
+    }
+  }
+
+  function set(key, data) {
+    const entry = {
+      ...data,
+      fetched_at: new Date().toISOString(),
+      errors: data.errors && data.errors.length ? data.errors : undefined,
+      retried: data.retried || undefined,
+    };
+    entries.set(key, entry);
+    if (persist(key)) {
+      save();
+    } else {
+      sizes.set(key, Buffer.byteLength(JSON.stringify(entry.results)));
+      evict();
+    }
+    return entry;
+  }
+
+  // Run the loader for a key, sharing the promise with any concurrent callers.
+  function refresh(key, loader) {
+    if (pending.has(key)) return pending.get(key);
+    const p = Promise.resolve()
+      .then(loader)
+      .then((data) => set(key, data))
+      .finally(() => pending.delete(key));
+    pending.set(key, p);
+    return p;
+  }
+
+  // Resolve a key: fresh entries are served as-is, otherwise the loader runs and a
+  // failure falls back to the previous entry marked stale. Throws only when there is
+  // nothing cached to fall back to.
+  async function get(key, loader) {
+    const existing = peek(key);
+    if (isFresh(existing))
+      return { entry: existing, stale: false, cached: true };
+    try {
+      const entry = await refresh(key, loader);
+      return { entry, stale: false, cached: false };
+    } catch (err) {
+      if (!existing) throw err;
+      log.warn("Serving stale recall cache", {
+        key,
+        fetched_at: existing.fetched_at,
+        error: err && err.message ? err.message : String(err),
+      });
+      return { entry: existing, stale: true, cached: true, error: err };
+    }
+  }
+
+  return { load, save, peek, isFresh, set, refresh, get };
+}
+
+module.exports = { createRecallCache };
@@ -0,0 +1,25 @@
+const crypto = require("crypto");
+
+// Deterministic recall IDs. openFDA rows have no single reliable key (device rows
+// carry serial numbers, some rows lack recall_number), so the ID is a hash of the
+// fields that identify one product row. The same row gets the same ID on every
+// request, and the same row served by two endpoints collapses to one record.
+const ID_FIELDS = [
+  "recall_number",
+  "event_id",
+  "recalling_firm",
+  "product_description",
+  "code_info",
+  "report_date",
+];
+
+function recallId(item) {
+  const hash = crypto.createHash("sha1");
+  ID_FIELDS.forEach((f) => {
+    hash.update(String(item[f] === undefined ? "" : item[f]).trim());
+    hash.update("\u0000");
+  });
+  return "r" + hash.digest("hex").slice(0, 16);
+}
+
+module.exports = { recallId };
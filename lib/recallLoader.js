@@ -0,0 +1,161 @@
+const { buildSearch } = require("./recallQuery");
+const { normalize } = require("./normalize");
+const { logger } = require("./logger");
+
+const log = logger.child({ module: "recalls" });
+
+// openFDA enforcement endpoint per unified recall type
+const OPENFDA_ENDPOINTS = {
+  Food: "food/enforcement.json",
+  Drug: "drug/enforcement.json",
+  Device: "device/enforcement.json",
+};
+
+// Merge per-endpoint pages into one list ordered newest first, drop rows that
+// hash to an ID already seen, and cut the requested offset/limit window out of it.
+function assembleRecalls(pages, params) {
+  const merged = [];
+  const seen = new Set();
+  let total = 0;
+  pages.forEach(({ type, results, total: endpointTotal }) => {
+    total += endpointTotal;
+    results.forEach((r) => {
+      const rec = normalize(r, type);
+      if (seen.has(rec.id)) {
+        total--;
+        return;
+      }
+      seen.add(rec.id);
+      merged.push(rec);
+    });
+  });
+  merged.sort((a, b) =>
+    (b.raw_report_date || "").localeCompare(a.raw_report_date || "")
+  );
+  return {
+    total,
+    results: merged.slice(params.offset, params.offset + params.limit),
+  };
+}
+
+// Errors that mean openFDA cannot be reached at all, so a connectivity retry is
+// pointless
+function isNetworkError(reason) {
+  return (
+    reason.includes("ECONNREFUSED") ||
+    reason.includes("ETIMEDOUT") ||
+    reason.includes("ENOTFOUND") ||
+    reason.includes("socket") ||
+    reason.includes("TLS")
+  );
+}
+
+// options: { openFda (lib/openFda.js client), baseUrl, statusHistory,
+// endpointErrors (metrics counter), endpointPauseMs }
+function createRecallLoader(options) {
+  const { openFda, statusHistory, endpointErrors } = options;
+  const baseUrl = String(options.baseUrl || "https://api.fda.gov").replace(
+    /\/+$/,
+    ""
+  );
+  const endpointPauseMs =
+    options.endpointPauseMs === undefined ? 250 : options.endpointPauseMs;
+
+  function endpointUrl(type) {
+    return `${baseUrl}/${OPENFDA_ENDPOINTS[type]}`;
+  }
+
+  // Build the base query URL for one endpoint (paged with limit & skip). `window.to`
+  // narrows the report_date range when paging has to pass openFDA's skip ceiling.
+  function endpointBase(type, params, window = {}) {
+    if (window.to) params = { ...params, to: window.to };
+    return `${endpointUrl(type)}?search=${buildSearch(
+      params
+    )}&sort=report_date:desc`;
+  }
+
+  async function fetchEndpoints(params, want, pageSize, onError) {
+    const pages = [];
+    let attempted = 0;
+    // Fetch endpoints sequentially (helps avoid simultaneous throttling)
+    for (const type of params.types) {
+      // small pause between endpoints to reduce chance of rate limits
+      if (attempted++ && endpointPauseMs)
+        await new Promise((r) => setTimeout(r, endpointPauseMs));
+      try {
+        const page = await openFda.fetchAll(
+          (window) => endpointBase(type, params, window),
+          want,
+          pageSize
+        );
+        pages.push({ type, ...page });
+      } catch (e) {
+        onError(type, e);
+      }
+    }
+    return pages;
+  }
+
+  function finish(pages, params, extra) {
+    const assembled = assembleRecalls(pages, params);
+    if (statusHistory) statusHistory.record(assembled.results);
+    return { ...assembled, ...extra };
+  }
+
+  // Pull the enforcement endpoints selected by `params` and return the unified,
+  // normalized result set. Throws (with `details` listing per-endpoint errors) when
+  // every endpoint failed.
+  async function loadRecalls(params) {
+    // Each endpoint is sorted newest first, so the first offset+limit rows of every
+    // endpoint are enough to build the requested window of the merged list.
+    const want = params.offset + params.limit;
+    const errors = [];
+    const pages = await fetchEndpoints(params, want, 500, (type, e) => {
+      if (endpointErrors) endpointErrors.inc({ endpoint: type.toLowerCase() });
+      errors.push({
+        endpoint: type.toLowerCase(),
+        reason: String(e && e.message ? e.message : e),
+      });
+      log.warn("openFDA endpoint fetch failed", { endpoint: type, err: e });
+    });
+    if (pages.length) return finish(pages, params, { errors });
+
+    // If every endpoint failed, try retries once more before giving up
+    log.error("All openFDA endpoints failed", { errors });
+
+    // If errors suggest network issues (connection refused, TLS errors, timeouts),
+    // skip the connectivity test to save time
+    if (!errors.some((e) => e.reason && isNetworkError(e.reason))) {
+      // Try one more time with quick connectivity test
+      log.warn("Attempting one more retry with connectivity check");
+      try {
+        await openFda.fetchJson(`${endpointUrl("Food")}?limit=1`, 1);
+        log.warn("openFDA reachable; retrying endpoints once more");
+        const retryPages = await fetchEndpoints(params, want, 50, (type, e) =>
+          log.warn("openFDA endpoint retry failed", { endpoint: type, err: e })
+        );
+        if (retryPages.length) {
+          const result = finish(retryPages, params, { errors, retried: true });
+          log.info("openFDA retry succeeded", {
+            results: result.results.length,
+          });
+          return result;
+        }
+      } catch (diagErr) {
+        log.warn("Connectivity test failed; openFDA unreachable", {
+          err: diagErr,
+        });
+      }
+    } else {
+      log.warn("Network error detected; unable to fetch from openFDA");
+    }
+
+    const err = new Error("All openFDA endpoints failed");
+    err.details = errors;
+    throw err;
+  }
+
+  return { endpointUrl, endpointBase, loadRecalls };
+}
+
+module.exports = { OPENFDA_ENDPOINTS, assembleRecalls, createRecallLoader };
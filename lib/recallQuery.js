@@ -0,0 +1,342 @@
+// Parsing and validation of /api/recalls query parameters, and translation of the
+// validated filters into openFDA `search=` clauses.
+const { STATES } = require("./usStates");
+const { CATEGORIES: HAZARD_CATEGORIES } = require("../public/hazards");
+const HazardGeo = require("../public/geo");
+
+const RECALL_TYPES = ["Food", "Drug", "Device"];
+const CLASSIFICATIONS = ["Class I", "Class II", "Class III"];
+const RECALL_STATUSES = ["Ongoing", "Pending", "Completed", "Terminated"];
+const US_STATES = STATES.map((s) => s.abbr);
+
+const DEFAULTS = {
+  from: "20200101",
+  to: "20241231",
+  limit: 500,
+  offset: 0,
+};
+const MAX_LIMIT = 1000;
+// openFDA refuses skip values beyond this
+const MAX_OFFSET = 25000;
+const MAX_TEXT_LENGTH = 200;
+
+// Accepts YYYY-MM-DD or YYYYMMDD and returns YYYYMMDD, or null when invalid
+function parseDateParam(val) {
+  const m = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(String(val).trim());
+  if (!m) return null;
+  const d = new Date(`${m[1]}-${m[2]}-${m[3]}T00:00:00Z`);
+  if (isNaN(d.getTime()) || d.getUTCDate() !== Number(m[3])) return null;
+  return `${m[1]}${m[2]}${m[3]}`;
+}
+
+function listParam(val) {
+  return String(val)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// "I", "class 1", "Class II" -> canonical "Class I" etc.
+function parseClassification(val) {
+  const m = /^(?:class\s*)?(i{1,3}|[123])$/i.exec(String(val).trim());
+  if (!m) return null;
+  const n = /\d/.test(m[1]) ? Number(m[1]) : m[1].length;
+  return CLASSIFICATIONS[n - 1];
+}
+
+function parseIntParam(val, min, max) {
+  if (!/^\d+$/.test(String(val).trim())) return null;
+  const n = Number(val);
+  if (n < min || n > max) return null;
+  return n;
+}
+
+// Strip characters that carry meaning in openFDA query syntax so user text can
+// only ever land inside a quoted phrase.
+function cleanText(val) {
+  return String(val)
+    .replace(/["\\()[\]{}:+]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Validate req.query. Returns { params } on success or { errors } where each error
+// is { param, value, message }.
+function parseRecallQuery(query = {}) {
+  const errors = [];
+  const params = {
+    from: DEFAULTS.from,
+    to: DEFAULTS.to,
+    types: RECALL_TYPES.slice(),
+    classifications: [],
+    states: [],
+    firm: null,
+    q: null,
+    limit: DEFAULTS.limit,
+    offset: DEFAULTS.offset,
+    group: null,
+    // map region shapes (public/geo.js) from bbox/near/polygon, or null
+    region: null,
+    // product code search set by /api/lookup: { field: "ndc" | "upc", forms }
+    codes: null,
+  };
+  const fail = (param, message) =>
+    errors.push({ param, value: query[param], message });
+  const has = (key) =>
+    query[key] !== undefined && String(query[key]).trim() !== "";
+
+  ["from", "to"].forEach((key) => {
+    if (!has(key)) return;
+    const d = parseDateParam(query[key]);
+    if (!d) fail(key, "Expected a date as YYYY-MM-DD or YYYYMMDD");
+    else params[key] = d;
+  });
+  if (params.from > params.to) fail("from", "`from` must not be after `to`");
+
+  if (has("type")) {
+    const types = [];
+    listParam(query.type).forEach((t) => {
+      const match = RECALL_TYPES.find(
+        (rt) => rt.toLowerCase() === t.toLowerCase()
+      );
+      if (!match)
+        fail(
+          "type",
+          `Unknown type "${t}"; expected one of ${RECALL_TYPES.join(", ")}`
+        );
+      else if (!types.includes(match)) types.push(match);
+    });
+    if (types.length) params.types = types;
+  }
+
+  if (has("classification")) {
+    listParam(query.classification).forEach((c) => {
+      const match = parseClassification(c);
+      if (!match)
+        fail(
+          "classification",
+          `Unknown classification "${c}"; expected one of ${CLASSIFICATIONS.join(
+            ", "
+          )}`
+        );
+      else if (!params.classifications.includes(match))
+        params.classifications.push(match);
+    });
+  }
+
+  if (has("state")) {
+    listParam(query.state).forEach((s) => {
+      const code = s.toUpperCase();
+      if (!US_STATES.includes(code))
+        fail(
+          "state",
+          `Unknown state "${s}"; expected a two-letter US state code`
+        );
+      else if (!params.states.includes(code)) params.states.push(code);
+    });
+  }
+
+  ["firm", "q"].forEach((key) => {
+    if (!has(key)) return;
+    const text = cleanText(query[key]);
+    if (String(query[key]).length > MAX_TEXT_LENGTH)
+      fail(key, `Must be at most ${MAX_TEXT_LENGTH} characters`);
+    else if (!text) fail(key, "Must contain searchable text");
+    else params[key] = text;
+  });
+
+  if (has("limit")) {
+    const n = parseIntParam(query.limit, 1, MAX_LIMIT);
+    if (n === null)
+      fail("limit", `Expected an integer between 1 and ${MAX_LIMIT}`);
+    else params.limit = n;
+  }
+  if (has("offset")) {
+    const n = parseIntParam(query.offset, 0, MAX_OFFSET);
+    if (n === null)
+      fail("offset", `Expected an integer between 0 and ${MAX_OFFSET}`);
+    else params.offset = n;
+  }
+
+  if (has("group")) {
+    const g = String(query.group).trim().toLowerCase();
+    if (!GROUPS.includes(g))
+      fail("group", `Expected one of ${GROUPS.join(", ")}`);
+    else params.group = g;
+  }
+
+  const region = HazardGeo.parseRegion(query);
+  region.errors.forEach((e) => fail(e.key, e.message));
+  if (region.shapes.length) params.region = region.shapes;
+
+  return errors.length ? { errors } : { params };
+}
+
+const VIEW_SORTS = ["date_desc", "date_asc", "class_desc", "class_asc"];
+const GROUPS = ["event"];
+
+// Validate the UI view filters sent as view[type], view[classification],
+// view[hazard], view[search], view[sort], view[limit], view[group], the
+// timeline's view[from]/view[to] and the drawn region's view[bbox], view[near] or
+// view[polygon] (see public/filters.js). Values mirror the list
+// controls, so classification is matched as displayed ("Class I", "N/A").
+function parseViewQuery(view) {
+  if (view === undefined) return { view: null };
+  const errors = [];
+  const fail = (key, message) =>
+    errors.push({ param: `view[${key}]`, value: view[key], message });
+  if (typeof view !== "object" || Array.isArray(view)) {
+    return {
+      errors: [
+        { param: "view", value: view, message: "Expected view[...] fields" },
+      ],
+    };
+  }
+  const out = {};
+  if (view.type !== undefined) {
+    const t = String(view.type);
+    if (t !== "All" && !RECALL_TYPES.includes(t))
+      fail("type", `Expected All or one of ${RECALL_TYPES.join(", ")}`);
+    else out.type = t;
+  }
+  if (view.classification !== undefined) {
+    const c = String(view.classification);
+    if (c.length > MAX_TEXT_LENGTH)
+      fail("classification", `Must be at most ${MAX_TEXT_LENGTH} characters`);
+    else out.classification = c;
+  }
+  if (view.status !== undefined) {
+    const s = String(view.status);
+    if (s !== "All" && !RECALL_STATUSES.includes(s))
+      fail("status", `Expected All or one of ${RECALL_STATUSES.join(", ")}`);
+    else out.status = s;
+  }
+  if (view.hazard !== undefined) {
+    const h = String(view.hazard);
+    if (h !== "All" && !HAZARD_CATEGORIES.some((c) => c.id === h))
+      fail(
+        "hazard",
+        `Expected All or one of ${HAZARD_CATEGORIES.map((c) => c.id).join(
+          ", "
+        )}`
+      );
+    else out.hazard = h;
+  }
+  if (view.search !== undefined) {
+    const q = String(view.search);
+    if (q.length > MAX_TEXT_LENGTH)
+      fail("search", `Must be at most ${MAX_TEXT_LENGTH} characters`);
+    else out.search = q;
+  }
+  if (view.sort !== undefined) {
+    if (!VIEW_SORTS.includes(String(view.sort)))
+      fail("sort", `Expected one of ${VIEW_SORTS.join(", ")}`);
+    else out.sort = String(view.sort);
+  }
+  if (view.limit !== undefined) {
+    const l = String(view.limit);
+    if (l !== "all" && parseIntParam(l, 1, Number.MAX_SAFE_INTEGER) === null)
+      fail("limit", "Expected a positive integer or all");
+    else out.limit = l;
+  }
+  ["from", "to"].forEach((key) => {
+    if (view[key] === undefined || String(view[key]) === "") return;
+    const d = parseDateParam(view[key]);
+    if (!d) fail(key, "Expected a date as YYYY-MM-DD or YYYYMMDD");
+    else out[key] = d;
+  });
+  if (view.group !== undefined && String(view.group) !== "") {
+    if (!GROUPS.includes(String(view.group)))
+      fail("group", `Expected one of ${GROUPS.join(", ")}`);
+    else out.group = String(view.group);
+  }
+  const region = HazardGeo.parseRegion(view);
+  region.errors.forEach((e) => fail(e.key, e.message));
+  HazardGeo.REGION_KEYS.forEach((key) => {
+    if (view[key] !== undefined && String(view[key]).trim() !== "")
+      out[key] = String(view[key]);
+  });
+  return errors.length ? { errors } : { view: out };
+}
+
+// openFDA wants spaces as "+" inside the search expression
+function phrase(text) {
+  return `"${encodeURIComponent(text).replace(/%20/g, "+")}"`;
+}
+
+// Fields an NDC or UPC may appear in; the openfda ones hold codes exactly as
+// written, the others are free text
+const CODE_FIELDS = {
+  ndc: [
+    "openfda.package_ndc",
+    "openfda.product_ndc",
+    "product_description",
+    "code_info",
+  ],
+  upc: ["openfda.upc", "product_description", "code_info"],
+};
+
+function anyOf(field, values) {
+  const clauses = values.map((v) => `${field}:${phrase(v)}`);
+  return clauses.length > 1 ? `(${clauses.join("+")})` : clauses[0];
+}
+
+// Build the openFDA `search=` expression for validated params. Type is not part of
+// the expression; it selects which enforcement endpoints are queried.
+function buildSearch(params) {
+  const clauses = [`report_date:[${params.from}+TO+${params.to}]`];
+  if (params.classifications.length)
+    clauses.push(anyOf("classification", params.classifications));
+  if (params.states.length) clauses.push(anyOf("state", params.states));
+  if (params.firm) clauses.push(`recalling_firm:${phrase(params.firm)}`);
+  if (params.q) {
+    const fields = [
+      "product_description",
+      "reason_for_recall",
+      "recalling_firm",
+    ];
+    clauses.push(
+      `(${fields.map((f) => `${f}:${phrase(params.q)}`).join("+")})`
+    );
+  }
+  if (params.codes) {
+    const { field, forms } = params.codes;
+    const any = [].concat(
+      ...CODE_FIELDS[field].map((f) => forms.map((v) => `${f}:${phrase(v)}`))
+    );
+    clauses.push(`(${any.join("+")})`);
+  }
+  return clauses.join("+AND+");
+}
+
+// Stable string for a set of params; used as the cache key. `group` and `region`
+// are left out since grouping and the region are applied to the cached rows.
+function queryKey(params) {
+  const parts = [
+    `from=${params.from}`,
+    `to=${params.to}`,
+    `type=${params.types.join(",")}`,
+    `classification=${params.classifications.join(",")}`,
+    `state=${params.states.join(",")}`,
+    `firm=${params.firm || ""}`,
+    `q=${params.q || ""}`,
+    `limit=${params.limit}`,
+    `offset=${params.offset}`,
+  ];
+  // only lookups carry codes, so other keys stay as they were
+  if (params.codes)
+    parts.push(`${params.codes.field}=${params.codes.forms.join(",")}`);
+  return parts.join("&");
+}
+
+module.exports = {
+  MAX_LIMIT,
+  RECALL_TYPES,
+  CLASSIFICATIONS,
+  RECALL_STATUSES,
+  US_STATES,
+  parseRecallQuery,
+  parseViewQuery,
+  buildSearch,
+  queryKey,
+};
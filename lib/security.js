@@ -0,0 +1,93 @@
+// Security headers for every response and the CORS policy for the API.
+
+// Where the page loads its third-party pieces from: Leaflet, markercluster and
+// Ionicons from unpkg, Inter from Google Fonts, map tiles from OpenStreetMap.
+// Inline style attributes stay allowed (the page and Leaflet markers use them);
+// scripts only ever come from files.
+const CONTENT_SECURITY_POLICY = {
+  "default-src": ["'self'"],
+  "script-src": ["'self'", "https://unpkg.com"],
+  "style-src": [
+    "'self'",
+    "'unsafe-inline'",
+    "https://unpkg.com",
+    "https://fonts.googleapis.com",
+  ],
+  "font-src": ["'self'", "https://fonts.gstatic.com"],
+  "img-src": [
+    "'self'",
+    "data:",
+    "https://unpkg.com",
+    "https://*.tile.openstreetmap.org",
+  ],
+  // Ionicons fetches its SVGs at runtime
+  "connect-src": ["'self'", "https://unpkg.com"],
+  "object-src": ["'none'"],
+  "base-uri": ["'self'"],
+  "form-action": ["'self'"],
+  "frame-ancestors": ["'none'"],
+};
+
+function formatPolicy(policy) {
+  return Object.entries(policy)
+    .map(([directive, sources]) => `${directive} ${sources.join(" ")}`)
+    .join("; ");
+}
+
+// Express middleware setting the CSP and the usual hardening headers
+function securityHeaders() {
+  const csp = formatPolicy(CONTENT_SECURITY_POLICY);
+  return function (req, res, next) {
+    res.setHeader("Content-Security-Policy", csp);
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("X-Frame-Options", "DENY");
+    // OSM's tile policy asks for a Referer, so send the origin cross-site
+    res.setHeader("Referrer-Policy", "strict-origin-when-cross-origin");
+    res.setHeader("Cross-Origin-Opener-Policy", "same-origin");
+    res.setHeader(
+      "Permissions-Policy",
+      "camera=(), microphone=(), geolocation=(), payment=()"
+    );
+    if (req.secure)
+      res.setHeader(
+        "Strict-Transport-Security",
+        "max-age=15552000; includeSubDomains"
+      );
+    next();
+  };
+}
+
+// Options for the `cors` middleware. The browser app is served from the same
+// origin and needs no CORS at all; CORS_ORIGINS lists other origins (comma
+// separated, e.g. "https://dashboard.example.org") allowed to call the API, or
+// "*" for any.
+function corsOptions(env = process.env) {
+  const origins = String(env.CORS_ORIGINS || "")
+    .split(",")
+    .map((s) => s.trim().replace(/\/+$/, ""))
+    .filter(Boolean);
+  return {
+    origin: origins.includes("*") ? true : origins.length ? origins : false,
+    exposedHeaders: ["X-Request-Id"],
+  };
+}
+
+// Express `trust proxy` setting from TRUST_PROXY. Behind the load balancer
+// TRUST_PROXY=1 trusts one hop's X-Forwarded-* headers (so req.secure sees the
+// original HTTPS). A hop count is passed as a number, "true"/"false" as booleans
+// and anything else (addresses, subnets, "loopback") as the string; unset is off.
+function trustProxy(env = process.env) {
+  const value = String(env.TRUST_PROXY || "").trim();
+  if (!value || value.toLowerCase() === "false") return false;
+  if (value.toLowerCase() === "true") return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+}
+
+module.exports = {
+  CONTENT_SECURITY_POLICY,
+  formatPolicy,
+  securityHeaders,
+  corsOptions,
+  trustProxy,
+};
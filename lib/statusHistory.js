@@ -0,0 +1,126 @@
+const fs = require("fs");
+const { logger } = require("./logger");
+const { createJsonFile } = require("./jsonFile");
+
+const log = logger.child({ module: "status-history" });
+
+// Snapshot store of each recall's openFDA status across pulls. Every successful
+// pull is recorded; an entry gains a history row whenever its status or
+// termination date differs from the last one seen, so we know when a recall was
+// first seen terminated and how long it stayed open.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days between two YYYYMMDD dates, or null
+function daysBetween(from, to) {
+  const parse = (s) =>
+    /^\d{8}$/.test(s || "")
+      ? Date.UTC(+s.slice(0, 4), +s.slice(4, 6) - 1, +s.slice(6, 8))
+      : NaN;
+  const ms = parse(to) - parse(from);
+  return isNaN(ms) ? null : Math.round(ms / DAY_MS);
+}
+
+function todayKey() {
+  return new Date().toISOString().slice(0, 10).replace(/-/g, "");
+}
+
+function createStatusHistory(options = {}) {
+  const file = options.file;
+  // recall id -> { first_seen, recall_initiation_date, history: [{ status, termination_date, seen_at }] }
+  const entries = new Map();
+  let saveTimer = null;
+
+  function load() {
+    if (!file) return;
+    try {
+      const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+      Object.entries((raw && raw.entries) || {}).forEach(([id, entry]) => {
+        if (entry && Array.isArray(entry.history)) entries.set(id, entry);
+      });
+      log.info("Status history loaded", { recalls: entries.size, file });
+    } catch (e) {
+      if (e.code !== "ENOENT") {
+        log.warn("Status history load failed", { file, err: e });
+      }
+    }
+  }
+
+  const { save } = createJsonFile({
+    file,
+    label: "Status history",
+    log,
+    snapshot: () => ({ version: 1, entries: Object.fromEntries(entries) }),
+  });
+
+  function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      save();
+    }, 2000);
+    saveTimer.unref();
+  }
+
+  // Record the status of freshly pulled (normalized) records
+  function record(records) {
+    const now = new Date().toISOString();
+    let changed = false;
+    records.forEach((rec) => {
+      const status = rec.status || null;
+      const termination = rec.raw_termination_date || null;
+      let entry = entries.get(rec.id);
+      if (!entry) {
+        entry = {
+          first_seen: now,
+          recall_initiation_date: rec.raw_recall_initiation_date || null,
+          history: [],
+        };
+        entries.set(rec.id, entry);
+      }
+      const last = entry.history[entry.history.length - 1];
+      if (
+        last &&
+        last.status === status &&
+        last.termination_date === termination
+      )
+        return;
+      entry.history.push({
+        status,
+        termination_date: termination,
+        seen_at: now,
+      });
+      changed = true;
+    });
+    if (changed) scheduleSave();
+  }
+
+  // History for one recall plus derived fields, or null when never seen.
+  // open_days runs from the recall's initiation to its termination date (or the
+  // day it was first seen terminated, or today while it is still open).
+  function get(id) {
+    const entry = entries.get(id);
+    if (!entry) return null;
+    const current = entry.history[entry.history.length - 1];
+    const terminated = entry.history.find((h) => h.status === "Terminated");
+    return {
+      id,
+      status: current.status,
+      termination_date: current.termination_date,
+      recall_initiation_date: entry.recall_initiation_date,
+      first_seen: entry.first_seen,
+      terminated_seen_at: terminated ? terminated.seen_at : null,
+      open_days: daysBetween(
+        entry.recall_initiation_date,
+        current.termination_date ||
+          (terminated
+            ? terminated.seen_at.slice(0, 10).replace(/-/g, "")
+            : todayKey())
+      ),
+      history: entry.history,
+    };
+  }
+
+  return { load, save, record, get };
+}
+
+module.exports = { createStatusHistory };
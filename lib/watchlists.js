@@ -0,0 +1,229 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const { RECALL_TYPES, CLASSIFICATIONS, US_STATES } = require("./recallQuery");
+const HazardCategories = require("../public/hazards");
+const HazardSearch = require("../public/search");
+const { logger } = require("./logger");
+const { createJsonFile } = require("./jsonFile");
+
+const log = logger.child({ module: "watchlists" });
+
+// Named watchlists: saved filter criteria that the alert job (lib/alerts.js)
+// checks every fresh openFDA pull against. Criteria are AND-ed; list-valued ones
+// match any of their values:
+//   firm            case-insensitive substring of recalling_firm
+//   keywords        search query (public/search.js syntax) over all text fields
+//   states          firm state or any distribution state
+//   types, classifications, hazards
+
+const MAX_NAME_LENGTH = 100;
+const MAX_TEXT_LENGTH = 200;
+const EMAIL_RE = /^[^\s@<>]+@[^\s@<>]+$/;
+
+function listOf(val) {
+  if (val === undefined || val === null) return [];
+  return (Array.isArray(val) ? val : String(val).split(","))
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+}
+
+// Whether the alert job may POST to `url`: a watchlist's own webhook must be on a
+// host named in `hosts` (ALERT_WEBHOOK_HOSTS), so an API caller cannot point the
+// server at internal addresses. No hosts means no per-watchlist webhooks.
+function webhookAllowed(url, hosts = []) {
+  try {
+    const { protocol, hostname } = new URL(String(url));
+    return (
+      ["http:", "https:"].includes(protocol) &&
+      hosts.includes(hostname.toLowerCase())
+    );
+  } catch (e) {
+    return false;
+  }
+}
+
+// Validate a watchlist body from the API. Returns { watchlist } (without id and
+// timestamps) or { errors } shaped like the query parameter errors.
+// `webhookHosts` lists the hosts a `webhook_url` may point at.
+function parseWatchlist(body, webhookHosts = []) {
+  const errors = [];
+  const fail = (param, value, message) =>
+    errors.push({ param, value, message });
+  if (!body || typeof body !== "object" || Array.isArray(body))
+    return {
+      errors: [
+        { param: "body", value: body, message: "Expected a JSON object" },
+      ],
+    };
+
+  const name = String(body.name || "").trim();
+  if (!name) fail("name", body.name, "Required");
+  else if (name.length > MAX_NAME_LENGTH)
+    fail("name", body.name, `Must be at most ${MAX_NAME_LENGTH} characters`);
+
+  const c = body.criteria || {};
+  const criteria = {};
+  ["firm", "keywords"].forEach((key) => {
+    if (c[key] === undefined || String(c[key]).trim() === "") return;
+    const text = String(c[key]).trim();
+    if (text.length > MAX_TEXT_LENGTH)
+      fail(
+        `criteria.${key}`,
+        c[key],
+        `Must be at most ${MAX_TEXT_LENGTH} characters`
+      );
+    else criteria[key] = text;
+  });
+  const lists = {
+    states: (v) =>
+      US_STATES.includes(v.toUpperCase()) ? v.toUpperCase() : null,
+    types: (v) =>
+      RECALL_TYPES.find((t) => t.toLowerCase() === v.toLowerCase()) || null,
+    classifications: (v) =>
+      CLASSIFICATIONS.find((t) => t.toLowerCase() === v.toLowerCase()) || null,
+    hazards: (v) =>
+      HazardCategories.CATEGORIES.some((h) => h.id === v) ? v : null,
+  };
+  Object.keys(lists).forEach((key) => {
+    const values = [];
+    listOf(c[key]).forEach((v) => {
+      const match = lists[key](v);
+      if (!match) fail(`criteria.${key}`, v, `Unknown value "${v}"`);
+      else if (!values.includes(match)) values.push(match);
+    });
+    if (values.length) criteria[key] = values;
+  });
+  if (!errors.length && !Object.keys(criteria).length)
+    fail("criteria", body.criteria, "At least one criterion is required");
+
+  let webhookUrl = null;
+  if (body.webhook_url) {
+    let url = null;
+    try {
+      url = new URL(String(body.webhook_url));
+      if (!["http:", "https:"].includes(url.protocol)) throw new Error();
+    } catch (e) {
+      url = null;
+      fail("webhook_url", body.webhook_url, "Expected an http(s) URL");
+    }
+    if (url && !webhookAllowed(url, webhookHosts))
+      fail(
+        "webhook_url",
+        body.webhook_url,
+        webhookHosts.length
+          ? `Host must be one of: ${webhookHosts.join(", ")}`
+          : "Webhooks per watchlist are disabled; alerts use ALERT_WEBHOOK_URL"
+      );
+    else if (url) webhookUrl = url.toString();
+  }
+  const emails = listOf(body.emails);
+  emails.forEach((e) => {
+    if (!EMAIL_RE.test(e)) fail("emails", e, "Not an email address");
+  });
+
+  if (errors.length) return { errors };
+  return {
+    watchlist: { name, criteria, webhook_url: webhookUrl, emails },
+  };
+}
+
+// The records (unified recalls) a watchlist's criteria match
+function matchRecords(watchlist, records) {
+  const c = watchlist.criteria || {};
+  let out = c.keywords ? HazardSearch.search(records, c.keywords) : records;
+  if (c.firm) {
+    const firm = c.firm.toLowerCase();
+    out = out.filter((r) =>
+      String(r.recalling_firm || "")
+        .toLowerCase()
+        .includes(firm)
+    );
+  }
+  if (c.states)
+    out = out.filter(
+      (r) =>
+        c.states.includes(r.state) ||
+        (r.distribution_states || []).some((s) => c.states.includes(s))
+    );
+  if (c.types) out = out.filter((r) => c.types.includes(r.type));
+  if (c.classifications)
+    out = out.filter((r) => c.classifications.includes(r.classification));
+  if (c.hazards)
+    out = out.filter((r) =>
+      (r.hazard_categories || []).some((h) => c.hazards.includes(h))
+    );
+  return out;
+}
+
+// Disk-backed watchlist store, persisted like the recall cache
+function createWatchlistStore(options = {}) {
+  const file = options.file;
+  const lists = new Map();
+
+  function load() {
+    if (!file) return;
+    try {
+      const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+      ((raw && raw.watchlists) || []).forEach((w) => {
+        if (w && w.id) lists.set(w.id, w);
+      });
+      log.info("Watchlists loaded", { entries: lists.size, file });
+    } catch (e) {
+      if (e.code !== "ENOENT") {
+        log.warn("Watchlist load failed", { file, err: e });
+      }
+    }
+  }
+
+  const { save } = createJsonFile({
+    file,
+    label: "Watchlist",
+    log,
+    snapshot: () => ({ version: 1, watchlists: Array.from(lists.values()) }),
+  });
+
+  function list() {
+    return Array.from(lists.values());
+  }
+
+  function get(id) {
+    return lists.get(id) || null;
+  }
+
+  function create(fields) {
+    const now = new Date().toISOString();
+    const w = {
+      id: crypto.randomUUID(),
+      ...fields,
+      created_at: now,
+      updated_at: now,
+    };
+    lists.set(w.id, w);
+    save();
+    return w;
+  }
+
+  function update(id, fields) {
+    const existing = lists.get(id);
+    if (!existing) return null;
+    const w = { ...existing, ...fields, updated_at: new Date().toISOString() };
+    lists.set(id, w);
+    save();
+    return w;
+  }
+
+  function remove(id) {
+    const removed = lists.delete(id);
+    if (removed) save();
+    return removed;
+  }
+
+  return { load, save, list, get, create, update, remove };
+}
+
+module.exports = {
+  webhookAllowed,
+  parseWatchlist,
+  matchRecords,
+  createWatchlistStore,
+};
@@ -1,4 +1,4 @@
-// App: fetch unified recalls, geocode (Nominatim), show Leaflet map, filters, sorting, list
+// App: fetch unified recalls, geocode (via server), show Leaflet map, filters, sorting, list
 (function () {
   const API = "/api/recalls";
   const messages = document.getElementById("messages");
@@ -9,6 +9,27 @@
   let rawResults = [];
   let markers = new Map();
   let map, markersLayer;
+  // distribution choropleth: state outlines are fetched once, on first toggle
+  let distributionLayer = null;
+  let stateShapes = null;
+  let filteredItems = [];
+  // records currently shown in the list; markers are diffed against this set
+  let visibleItems = [];
+  // report-date histogram under the map; its brush narrows the view
+  let timeline = null;
+  // firm profile drawer: its location markers and the recalls it listed, so their
+  // details open even when they are outside the loaded dataset
+  let firmLayer = null;
+  let firmRecords = new Map();
+  // area drawn on the map (public/geo.js text forms); records outside it are hidden
+  let drawnItems = null;
+  let region = { bbox: "", near: "", polygon: "" };
+  // URL state is only written once the URL's own state has been applied, and not
+  // while a history entry is being restored
+  let urlReady = false;
+  let restoring = false;
+  // query string the UI currently reflects
+  let appliedSearch = location.search;
 
   function showMessage(msg, isError) {
     messages.textContent = msg || "";
@@ -21,7 +42,127 @@
       maxZoom: 19,
       attribution: "© OpenStreetMap contributors",
     }).addTo(map);
-    markersLayer = L.layerGroup().addTo(map);
+    // Clustered markers; markercluster also skips markers outside the viewport
+    markersLayer = L.markerClusterGroup({
+      chunkedLoading: true,
+      showCoverageOnHover: false,
+      maxClusterRadius: 50,
+      iconCreateFunction: clusterIcon,
+    }).addTo(map);
+    initDrawControl();
+  }
+
+  // Rectangle, circle and polygon tools; one area at a time, editable in place.
+  // Leaflet.draw's area readout is off: it breaks on current Leaflet releases.
+  function initDrawControl() {
+    if (!L.Control.Draw) return;
+    const shapeOptions = { className: "map-region" };
+    drawnItems = new L.FeatureGroup().addTo(map);
+    map.addControl(
+      new L.Control.Draw({
+        draw: {
+          polygon: { allowIntersection: false, showArea: false, shapeOptions },
+          rectangle: { showArea: false, shapeOptions },
+          circle: { metric: false, feet: false, shapeOptions },
+          polyline: false,
+          marker: false,
+          circlemarker: false,
+        },
+        edit: { featureGroup: drawnItems },
+      })
+    );
+    map.on(L.Draw.Event.CREATED, (e) => {
+      drawnItems.clearLayers();
+      drawnItems.addLayer(e.layer);
+      region = regionFromLayer(e.layer);
+      applyFiltersAndRender({ keepViewport: true });
+    });
+    map.on(L.Draw.Event.EDITED, () => {
+      const layer = drawnItems.getLayers()[0];
+      region = layer ? regionFromLayer(layer) : emptyRegion();
+      applyFiltersAndRender({ keepViewport: true });
+    });
+    map.on(L.Draw.Event.DELETED, () => {
+      if (drawnItems.getLayers().length) return;
+      region = emptyRegion();
+      applyFiltersAndRender({ keepViewport: true });
+    });
+  }
+
+  function emptyRegion() {
+    return { bbox: "", near: "", polygon: "" };
+  }
+
+  function hasRegion() {
+    return !!(region.bbox || region.near || region.polygon);
+  }
+
+  // Drawn layer -> { bbox, near, polygon } with the one matching its shape set.
+  // Rectangles are polygons to Leaflet, so they are checked first.
+  function regionFromLayer(layer) {
+    const out = emptyRegion();
+    if (layer instanceof L.Circle) {
+      const c = layer.getLatLng();
+      out.near = HazardGeo.formatShape({
+        kind: "near",
+        lat: c.lat,
+        lon: c.lng,
+        miles: layer.getRadius() / 1609.344,
+      });
+    } else if (layer instanceof L.Rectangle) {
+      const b = layer.getBounds();
+      out.bbox = HazardGeo.formatShape({
+        kind: "bbox",
+        west: b.getWest(),
+        south: b.getSouth(),
+        east: b.getEast(),
+        north: b.getNorth(),
+      });
+    } else if (layer instanceof L.Polygon) {
+      out.polygon = HazardGeo.formatShape({
+        kind: "polygon",
+        points: layer.getLatLngs()[0].map((p) => [p.lat, p.lng]),
+      });
+    }
+    return out;
+  }
+
+  // Redraw the area from URL state; invalid text draws (and filters) nothing
+  function drawRegion(state) {
+    const { shapes, errors } = HazardGeo.parseRegion(state);
+    region = emptyRegion();
+    if (drawnItems) drawnItems.clearLayers();
+    if (errors.length || shapes.length !== 1) return;
+    const shape = shapes[0];
+    HazardGeo.REGION_KEYS.forEach((key) => {
+      if (state[key]) region[key] = state[key];
+    });
+    if (!drawnItems) return;
+    const opts = { className: "map-region" };
+    let layer;
+    if (shape.kind === "near")
+      layer = L.circle(
+        [shape.lat, shape.lon],
+        Object.assign({ radius: shape.miles * 1609.344 }, opts)
+      );
+    else if (shape.kind === "bbox")
+      layer = L.rectangle(
+        [
+          [shape.south, shape.west],
+          [shape.north, shape.east],
+        ],
+        opts
+      );
+    else layer = L.polygon(shape.points, opts);
+    drawnItems.addLayer(layer);
+  }
+
+  function debounce(fn, ms) {
+    let timer = null;
+    return (...args) => {
+      clearTimeout(timer);
+      timer = setTimeout(() => fn(...args), ms);
+    };
   }
 
   function classificationClass(cl) {
@@ -40,9 +181,36 @@
     if (type === "Drug") {
       return `<ion-icon name="medical-outline" style="color:${fill};font-size:${size}px;vertical-align:middle"></ion-icon>`;
     }
+    if (type === "Device") {
+      return `<ion-icon name="pulse-outline" style="color:${fill};font-size:${size}px;vertical-align:middle"></ion-icon>`;
+    }
     return `<ion-icon name="fast-food-outline" style="color:${fill};font-size:${size}px;vertical-align:middle"></ion-icon>`;
   }
 
+  // Severity rank (1 = Class I, the worst) used to colour clusters
+  function classRank(cl) {
+    const c = classificationClass(cl);
+    if (c === "class-I") return 1;
+    if (c === "class-II") return 2;
+    return 3;
+  }
+
+  // Cluster badge coloured by the worst classification among its markers
+  function clusterIcon(cluster) {
+    const worst = Math.min(
+      ...cluster.getAllChildMarkers().map((m) => m.options.hazardRank || 3)
+    );
+    const count = cluster.getChildCount();
+    const size = count < 10 ? 34 : count < 100 ? 40 : 48;
+    return L.divIcon({
+      html: `<div><span>${count}</span></div>`,
+      className: `hazard-cluster ${
+        ["class-I", "class-II", "class-III"][worst - 1]
+      }`,
+      iconSize: L.point(size, size),
+    });
+  }
+
   function markerColorForClass(cl) {
     if (!cl) return "#3ddc84";
     const c = String(cl).toUpperCase();
@@ -55,11 +223,18 @@
 
   // Create an SVG pin (teardrop) with a white head. The visible icon will be overlaid
   // using an <ion-icon> element in the marker HTML so Ionicons render crisply.
-  function makePinSVG(color, size = 44) {
+  // Device recalls get a square head so they stand apart from food/drug pins.
+  function makePinSVG(color, size = 44, type) {
     const view = size;
     const cx = view / 2;
     const cy = Math.round(view * 0.32);
     const innerR = Math.round(view * 0.18);
+    const head =
+      type === "Device"
+        ? `<rect x="${cx - innerR}" y="${cy - innerR}" width="${
+            innerR * 2
+          }" height="${innerR * 2}" rx="2" fill="#ffffff" />`
+        : `<circle cx="${cx}" cy="${cy}" r="${innerR}" fill="#ffffff" />`;
     return `
       <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${view} ${view}" width="${size}" height="${size}" aria-hidden="true">
         <path d="M${view / 2} 2 C${view / 2 - 8} 2 ${view / 2 - 14} 8 ${
@@ -71,66 +246,58 @@
     } ${view / 2} C${view / 2 + 14} 8 ${view / 2 + 8} 2 ${
       view / 2
     } 2 Z" fill="${color}"/>
-        <circle cx="${cx}" cy="${cy}" r="${innerR}" fill="#ffffff" />
+        ${head}
       </svg>
     `;
   }
 
   // Backwards-compatible alias used elsewhere: produce same pin without embedding icons
-  function makePinSVGNoIcon(color, size = 44) {
-    return makePinSVG(color, size);
+  function makePinSVGNoIcon(color, size = 44, type) {
+    return makePinSVG(color, size, type);
   }
 
-  // Local storage geocache
-  const GEO_KEY = "hazardatlas_geocache_v1";
-  let geocache = {};
-  try {
-    geocache = JSON.parse(localStorage.getItem(GEO_KEY) || "{}");
-  } catch (e) {
-    geocache = {};
-  }
-
-  function saveGeocache() {
-    localStorage.setItem(GEO_KEY, JSON.stringify(geocache));
-  }
-
-  // Geocode with Nominatim. Respect gentle rate limit via simple queue with 1100ms interval
+  // Geocode through the server (/api/geocode), which owns the persistent cache and
+  // the rate-limited Nominatim queue. Requests are still sent one at a time; answers
+  // (misses included) are only kept for this page, as the next /api/recalls pull
+  // carries them as lat/lon.
+  const GEOCODE_API = "/api/geocode";
+  // address -> { lat, lon, precision } or null
+  const geocoded = new Map();
   const geocodeQueue = [];
+  // address -> callbacks waiting on it, so re-renders never queue an address twice
+  const geocodeWaiters = new Map();
   let geocodeRunning = false;
   function enqueueGeocode(q, cb) {
-    geocodeQueue.push({ q, cb });
-    if (!geocodeRunning) runGeomQueue();
+    if (geocodeWaiters.has(q)) {
+      geocodeWaiters.get(q).push(cb);
+      return;
+    }
+    geocodeWaiters.set(q, [cb]);
+    geocodeQueue.push(q);
+    if (!geocodeRunning) runGeocodeQueue();
   }
-  async function runGeomQueue() {
+  async function runGeocodeQueue() {
     geocodeRunning = true;
     while (geocodeQueue.length) {
-      const { q, cb } = geocodeQueue.shift();
+      const q = geocodeQueue.shift();
+      let err = null;
+      let val = null;
       try {
-        const cached = geocache[q];
-        if (cached) {
-          cb(null, cached);
+        if (geocoded.has(q)) {
+          val = geocoded.get(q);
         } else {
-          const url = `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(
-            q
-          )}&limit=1`;
-          const resp = await fetch(url, {
-            headers: { "User-Agent": "Hazard-Atlas-RecallTool/1.0 (local)" },
-          });
+          const resp = await fetch(`${GEOCODE_API}?q=${encodeURIComponent(q)}`);
           if (!resp.ok) throw new Error("Geocode failed " + resp.status);
           const data = await resp.json();
-          const hit = Array.isArray(data) && data.length ? data[0] : null;
-          const val = hit
-            ? { lat: parseFloat(hit.lat), lon: parseFloat(hit.lon) }
-            : null;
-          geocache[q] = val;
-          saveGeocache();
-          cb(null, val);
+          val = data && data.result ? data.result : null;
+          geocoded.set(q, val);
         }
-      } catch (err) {
-        cb(err);
+      } catch (e) {
+        err = e;
       }
-      // wait to be polite
-      await new Promise((r) => setTimeout(r, 1100));
+      const waiters = geocodeWaiters.get(q) || [];
+      geocodeWaiters.delete(q);
+      waiters.forEach((cb) => cb(err, val));
     }
     geocodeRunning = false;
   }
@@ -142,36 +309,180 @@
     return parts.join(", ");
   }
 
-  function clearMarkers() {
-    markersLayer.clearLayers();
-    markers.clear();
-  }
+  // Readable note for placements coarser than a street address
+  const PRECISION_NOTES = {
+    zip: "Approximate location (ZIP centroid)",
+    city: "Approximate location (city centroid)",
+    state: "Approximate location (state centroid)",
+  };
 
-  function addMarkerFor(rec, lat, lon) {
+  // Build (but do not add) the marker for a record at a resolved position
+  function createMarker(rec, pos) {
+    const { lat, lon } = pos;
     if (!lat || !lon) return null;
+    const precision = pos.precision || "street";
     const color = markerColorForClass(rec.classification);
     // create SVG pin marker (no embedded icon) and overlay an <ion-icon> centered in the head
-    const svg = makePinSVGNoIcon(color, 48);
+    const svg = makePinSVGNoIcon(color, 48, rec.type);
     // marker html: only the colored pin SVG (no icon overlay)
     const html = `<div style="width:36px;height:48px;line-height:0">${svg}</div>`;
     const icon = L.divIcon({
-      className: "hazard-pin",
+      className:
+        "hazard-pin type-" +
+        String(rec.type || "").toLowerCase() +
+        " precision-" +
+        precision +
+        (rec.status === "Ongoing" ? " status-ongoing" : ""),
       html,
       iconSize: [36, 48],
       iconAnchor: [18, 46],
     });
-    const m = L.marker([lat, lon], { icon }).addTo(markersLayer);
-    const popupHtml = `<strong>${
-      rec.product_description || "No product"
-    }</strong><br/><small>${rec.recalling_firm || ""}</small><br/><em>${
-      rec.classification || ""
-    }</em>`;
-    m.bindPopup(popupHtml);
+    const m = L.marker([lat, lon], {
+      icon,
+      hazardRank: classRank(rec.classification),
+      hazardKey: positionKey(pos),
+    });
+    // built when opened, so it highlights the search as it is then
+    m.bindPopup(() => {
+      const q = currentSearch();
+      const note = PRECISION_NOTES[precision];
+      return String(
+        HazardHtml.html`<strong>${
+          highlight(rec.product_description, q, "product") || "No product"
+        }</strong><br/><small>${highlight(
+          rec.recalling_firm,
+          q,
+          "firm"
+        )}</small><br/><em>${[rec.classification, rec.status]
+          .filter(Boolean)
+          .join(" · ")}</em>${
+          note && HazardHtml.html`<br/><small class="approx">${note}</small>`
+        }<br/><a href="${detailHash(rec.id)}">Details</a>`
+      );
+    });
     m.on("click", () => highlightListItem(rec.id));
-    markers.set(rec.id, m);
     return m;
   }
 
+  function positionKey(pos) {
+    return `${pos.lat},${pos.lon},${pos.precision || "street"}`;
+  }
+
+  // Known position for a record: server-attached coordinates first, then answers
+  // from /api/geocode on this page. Returns null when there is none (yet).
+  function positionFor(rec) {
+    if (rec.lat && rec.lon)
+      return { lat: rec.lat, lon: rec.lon, precision: rec.geo_precision };
+    const addr = constructAddress(rec);
+    return (addr && geocoded.get(addr)) || null;
+  }
+
+  // Diff the cluster layer against the visible records: unchanged markers stay,
+  // new ones are added in one batch and the rest are removed, instead of
+  // rebuilding every marker on each render.
+  function syncMarkers(items) {
+    const wanted = new Map();
+    items.forEach((rec) => {
+      const pos = positionFor(rec);
+      if (pos) {
+        wanted.set(rec.id, { rec, pos });
+        return;
+      }
+      const addr = constructAddress(rec);
+      if (!addr || geocoded.has(addr)) return; // skip, or a known miss
+      enqueueGeocode(addr, (err, val) => {
+        if (err) {
+          console.warn("Geocode err", err);
+          return;
+        }
+        if (val) refreshMarkersSoon();
+      });
+    });
+
+    const stale = [];
+    markers.forEach((m, id) => {
+      const w = wanted.get(id);
+      if (!w || m.options.hazardKey !== positionKey(w.pos)) {
+        stale.push(m);
+        markers.delete(id);
+      }
+    });
+    const fresh = [];
+    wanted.forEach(({ rec, pos }, id) => {
+      if (markers.has(id)) return;
+      const m = createMarker(rec, pos);
+      if (!m) return;
+      markers.set(id, m);
+      fresh.push(m);
+    });
+    if (stale.length) markersLayer.removeLayers(stale);
+    if (fresh.length) markersLayer.addLayers(fresh);
+  }
+
+  // Geocode answers arrive one by one; batch them into a single marker diff. With an
+  // area drawn, newly located records may fall inside it, so the filters run again.
+  const refreshMarkersSoon = debounce(() => {
+    if (hasRegion())
+      applyFiltersAndRender({ keepViewport: true, history: "none" });
+    else syncMarkers(visibleItems);
+  }, 300);
+
+  // Count how many of `items` reached each state according to distribution_states
+  function distributionCounts(items) {
+    const counts = {};
+    items.forEach((rec) => {
+      (rec.distribution_states || []).forEach((st) => {
+        counts[st] = (counts[st] || 0) + 1;
+      });
+    });
+    return counts;
+  }
+
+  function renderDistributionLayer() {
+    if (!distributionLayer) return;
+    const counts = distributionCounts(filteredItems);
+    const max = Math.max(1, ...Object.values(counts));
+    distributionLayer.eachLayer((layer) => {
+      const { abbr, name } = layer.feature.properties;
+      const n = counts[abbr] || 0;
+      layer.setStyle({
+        color: "#ffffff",
+        weight: 0.6,
+        opacity: 0.35,
+        fillColor: "#ff6b6b",
+        fillOpacity: n ? 0.12 + 0.6 * (n / max) : 0,
+      });
+      layer.setTooltipContent(
+        `${name}: ${n} recall${n === 1 ? "" : "s"} distributed`
+      );
+    });
+  }
+
+  async function toggleDistributionLayer(on) {
+    if (!on) {
+      if (distributionLayer) map.removeLayer(distributionLayer);
+      return;
+    }
+    try {
+      if (!stateShapes) {
+        const resp = await fetch("/api/geo/states");
+        if (!resp.ok) throw new Error("Server error " + resp.status);
+        stateShapes = await resp.json();
+      }
+      if (!distributionLayer) {
+        distributionLayer = L.geoJSON(stateShapes, {
+          onEachFeature: (feature, layer) =>
+            layer.bindTooltip(feature.properties.name, { sticky: true }),
+        });
+      }
+      distributionLayer.addTo(map);
+      renderDistributionLayer();
+    } catch (err) {
+      console.error(err);
+      showMessage("Failed to load state outlines: " + err.message, true);
+    }
+  }
+
   function highlightListItem(id) {
     const prev = document.querySelector(".item.active");
     if (prev) prev.classList.remove("active");
@@ -182,22 +493,492 @@
     }
     const m = markers.get(id);
     if (m) {
-      m.openPopup();
-      map.setView(m.getLatLng(), Math.max(map.getZoom(), 8));
+      // the marker may be hidden inside a cluster; zoom until it is on its own
+      markersLayer.zoomToShowLayer(m, () => m.openPopup());
+    }
+  }
+
+  // openFDA enforcement fields shown in the detail drawer, grouped and labelled.
+  // Fields not listed here still appear under "Other" with a generated label.
+  const DETAIL_SECTIONS = [
+    [
+      "Recall",
+      {
+        recall_number: "Recall number",
+        event_id: "Event ID",
+        status: "Status",
+        classification: "Classification",
+        voluntary_mandated: "Voluntary / mandated",
+        initial_firm_notification: "Initial firm notification",
+        recall_initiation_date: "Recall initiated",
+        center_classification_date: "Center classification date",
+        report_date: "Report date",
+        termination_date: "Termination date",
+      },
+    ],
+    [
+      "Product",
+      {
+        product_type: "Product type",
+        product_description: "Product description",
+        product_quantity: "Product quantity",
+        code_info: "Code info",
+        more_code_info: "More code info",
+        reason_for_recall: "Reason for recall",
+      },
+    ],
+    [
+      "Firm",
+      {
+        recalling_firm: "Recalling firm",
+        address_1: "Address",
+        address_2: "Address (line 2)",
+        city: "City",
+        state: "State",
+        postal_code: "Postal code",
+        country: "Country",
+      },
+    ],
+    ["Distribution", { distribution_pattern: "Distribution pattern" }],
+  ];
+  // Internal openFDA bookkeeping that means nothing to a reader
+  const DETAIL_SKIP = new Set(["@id", "@epoch"]);
+
+  function humanizeKey(key) {
+    const s = String(key).replace(/_/g, " ");
+    return s.charAt(0).toUpperCase() + s.slice(1);
+  }
+
+  function formatDetailValue(key, val) {
+    if (val === null || val === undefined || val === "") return null;
+    if (Array.isArray(val)) return val.join(", ");
+    if (typeof val === "object") return JSON.stringify(val);
+    const s = String(val);
+    // openFDA dates are YYYYMMDD
+    if (/_date$|^report_date$/.test(key) && /^\d{8}$/.test(s))
+      return `${s.slice(0, 4)}-${s.slice(4, 6)}-${s.slice(6, 8)}`;
+    return s;
+  }
+
+  // Product rows are looked up directly; event permalinks resolve against the
+  // grouped rows whether or not grouping is switched on
+  function findRecord(id) {
+    const rec = rawResults.find((r) => r.id === id) || firmRecords.get(id);
+    if (rec || !/^event-/.test(id)) return rec || null;
+    return (
+      HazardFilters.groupByEvent(rawResults).find((r) => r.id === id) || null
+    );
+  }
+
+  // Fill the detail drawer for a record. Built with textContent, never innerHTML,
+  // since every value is upstream text.
+  function renderDetail(rec) {
+    const item = rec.original || rec;
+    const dl = document.getElementById("detailFields");
+    dl.textContent = "";
+    const addSection = (title) => {
+      const h = document.createElement("div");
+      h.className = "section";
+      h.textContent = title;
+      dl.appendChild(h);
+    };
+    const addRow = (label, value) => {
+      const dt = document.createElement("dt");
+      dt.textContent = label;
+      const dd = document.createElement("dd");
+      dd.textContent = value;
+      dl.appendChild(dt);
+      dl.appendChild(dd);
+    };
+    const addRows = (title, entries) => {
+      const rows = entries.filter(([, value]) => value !== null);
+      if (!rows.length) return;
+      addSection(title);
+      rows.forEach(([label, value]) => addRow(label, value));
+    };
+
+    if (rec.products) {
+      addRows(
+        `Products (${rec.products.length})`,
+        rec.products.map((p) => [
+          p.recall_number || "—",
+          [p.product_description, p.classification].filter(Boolean).join(" — "),
+        ])
+      );
+    }
+
+    addRows("Hazard", [
+      [
+        "Categories",
+        (rec.hazard_categories || []).map(HazardCategories.label).join(", ") ||
+          null,
+      ],
+      [
+        "Allergens",
+        rec.allergens && rec.allergens.length ? rec.allergens.join(", ") : null,
+      ],
+    ]);
+
+    // names and codes from openFDA's drug data and the label text, as indexed for
+    // search (brand:, generic:, ndc:, upc:)
+    const joined = (list) => (list && list.length ? list.join(", ") : null);
+    addRows("Product", [
+      ["Brand", joined(rec.brand_names)],
+      ["Generic name", joined(rec.generic_names)],
+      ["Manufacturer", joined(rec.manufacturer_names)],
+      ["NDC", joined(rec.ndc_codes)],
+      ["UPC", joined(rec.upc_codes)],
+    ]);
+
+    const seen = new Set(["openfda"]);
+    DETAIL_SECTIONS.forEach(([title, labels]) => {
+      addRows(
+        title,
+        Object.keys(labels).map((key) => {
+          seen.add(key);
+          return [labels[key], formatDetailValue(key, item[key])];
+        })
+      );
+    });
+    addRows(
+      "Other",
+      Object.keys(item)
+        .filter((key) => !seen.has(key) && !DETAIL_SKIP.has(key))
+        .map((key) => [humanizeKey(key), formatDetailValue(key, item[key])])
+    );
+    if (item.openfda && typeof item.openfda === "object") {
+      addRows(
+        "openFDA",
+        Object.keys(item.openfda).map((key) => [
+          humanizeKey(key),
+          formatDetailValue(key, item.openfda[key]),
+        ])
+      );
+    }
+
+    document.getElementById("detailTitle").textContent =
+      rec.product_description || rec.recall_number || "Recall details";
+    const firmLink = document.getElementById("detailFirmLink");
+    firmLink.hidden = !rec.recalling_firm;
+    if (rec.recalling_firm) firmLink.href = firmHash(rec.recalling_firm);
+  }
+
+  // Status snapshots the server has recorded for a recall (status-history
+  // endpoint), appended to the drawer once they arrive. Events have none of their own.
+  async function loadStatusHistory(id) {
+    if (/^event-/.test(id)) return;
+    let data;
+    try {
+      const resp = await fetch(
+        "/api/recalls/" + encodeURIComponent(id) + "/status-history"
+      );
+      if (!resp.ok) return;
+      data = await resp.json();
+    } catch (err) {
+      return;
+    }
+    // the drawer may have moved on to another recall meanwhile
+    if (recallIdFromHash() !== id) return;
+    const dl = document.getElementById("detailFields");
+    const h = document.createElement("div");
+    h.className = "section";
+    h.textContent = "Status history";
+    dl.appendChild(h);
+    const rows = [
+      ["First seen", data.first_seen ? data.first_seen.slice(0, 10) : null],
+      [
+        "Seen terminated",
+        data.terminated_seen_at ? data.terminated_seen_at.slice(0, 10) : null,
+      ],
+      [
+        data.termination_date || data.terminated_seen_at
+          ? "Open for"
+          : "Open so far",
+        data.open_days === null ? null : `${data.open_days} days`,
+      ],
+    ].concat(
+      data.history.map((entry) => [
+        entry.seen_at.slice(0, 10),
+        [
+          entry.status || "No status",
+          entry.termination_date
+            ? "terminated " +
+              formatDetailValue("termination_date", entry.termination_date)
+            : null,
+        ]
+          .filter(Boolean)
+          .join(", "),
+      ])
+    );
+    rows
+      .filter(([, value]) => value !== null)
+      .forEach(([label, value]) => {
+        const dt = document.createElement("dt");
+        dt.textContent = label;
+        const dd = document.createElement("dd");
+        dd.textContent = value;
+        dl.appendChild(dt);
+        dl.appendChild(dd);
+      });
+  }
+
+  function detailHash(id) {
+    return "#recall=" + encodeURIComponent(id);
+  }
+
+  function recallIdFromHash() {
+    const m = /^#recall=(.+)$/.exec(location.hash);
+    return m ? decodeURIComponent(m[1]) : null;
+  }
+
+  // Open the drawer for a record id; the permalink (#recall=<id>) drives this
+  function openDetail(id) {
+    const rec = findRecord(id);
+    if (!rec) {
+      showMessage("Recall " + id + " is not in the loaded data.", true);
+      return;
     }
+    renderDetail(rec);
+    loadStatusHistory(id);
+    const drawer = document.getElementById("detail");
+    drawer.classList.remove("hidden");
+    drawer.setAttribute("aria-hidden", "false");
+    highlightListItem(id);
+  }
+
+  function closeDetail() {
+    const drawer = document.getElementById("detail");
+    drawer.classList.add("hidden");
+    drawer.setAttribute("aria-hidden", "true");
+    if (recallIdFromHash())
+      history.replaceState(null, "", location.pathname + location.search);
+  }
+
+  // Both drawers follow the hash: #recall=<id> or #firm=<name>
+  function syncDetailWithHash() {
+    const id = recallIdFromHash();
+    if (id) openDetail(id);
+    else closeDetail();
+    const firm = firmNameFromHash();
+    if (firm) openFirm(firm);
+    else closeFirm();
+  }
+
+  function firmHash(name) {
+    return "#firm=" + encodeURIComponent(name);
+  }
+
+  function firmNameFromHash() {
+    const m = /^#firm=(.+)$/.exec(location.hash);
+    return m ? decodeURIComponent(m[1]) : null;
+  }
+
+  // Open the firm drawer for a name (permalink #firm=<name>) and load its profile
+  // from /api/firms/:name, which merges spelling variants of the name
+  async function openFirm(name) {
+    const drawer = document.getElementById("firm");
+    drawer.classList.remove("hidden");
+    drawer.setAttribute("aria-hidden", "false");
+    document.getElementById("firmTitle").textContent = name;
+    document.getElementById("firmSummary").textContent = "Loading recalls...";
+    document.getElementById("firmCharts").textContent = "";
+    document.getElementById("firmRecalls").textContent = "";
+    clearFirmLocations();
+    let profile = null;
+    let failure = null;
+    try {
+      const resp = await fetch("/api/firms/" + encodeURIComponent(name));
+      if (resp.ok) profile = await resp.json();
+      else if (resp.status === 404) failure = "No recalls found for this firm.";
+      else failure = "Could not load the firm profile (" + resp.status + ").";
+    } catch (err) {
+      failure = "Could not load the firm profile: " + err.message;
+    }
+    // the drawer may have moved on meanwhile
+    if (firmNameFromHash() !== name) return;
+    if (profile && !profile.total)
+      failure =
+        "None of this firm's recalls were among the most recent matches " +
+        "for its name. Try a narrower date range.";
+    if (failure) {
+      document.getElementById("firmSummary").textContent = failure;
+      return;
+    }
+    renderFirm(profile);
+  }
+
+  function closeFirm() {
+    const drawer = document.getElementById("firm");
+    drawer.classList.add("hidden");
+    drawer.setAttribute("aria-hidden", "true");
+    clearFirmLocations();
+    if (firmNameFromHash())
+      history.replaceState(null, "", location.pathname + location.search);
+  }
+
+  function renderFirm(profile) {
+    firmRecords = new Map(profile.recalls.map((r) => [r.id, r]));
+    document.getElementById("firmTitle").textContent = profile.name;
+    const dates = [profile.first_report_date, profile.last_report_date].map(
+      (d) => (d ? d.slice(0, 10) : "?")
+    );
+    const others = profile.variants.slice(1).map((v) => v.name);
+    document.getElementById("firmSummary").textContent =
+      `${profile.total} recall${profile.total === 1 ? "" : "s"} reported ` +
+      `${dates[0]} – ${dates[1]} from ${profile.locations.length} location` +
+      (profile.locations.length === 1 ? "" : "s") +
+      "." +
+      (others.length ? ` Also reported as: ${others.join("; ")}.` : "") +
+      (profile.truncated
+        ? " Only recalls among the most recent matches for its name were loaded."
+        : "");
+
+    const charts = document.getElementById("firmCharts");
+    charts.append(
+      barChart("By classification", profile.by_classification, true),
+      yearChart(profile.by_year)
+    );
+
+    const list = document.getElementById("firmRecalls");
+    profile.recalls.forEach((rec) => {
+      const li = document.createElement("li");
+      const a = document.createElement("a");
+      a.href = detailHash(rec.id);
+      a.textContent = rec.product_description || rec.recall_number || rec.id;
+      const meta = document.createElement("small");
+      meta.textContent = [
+        rec.report_date ? rec.report_date.slice(0, 10) : null,
+        rec.classification,
+        rec.status,
+        [rec.city, rec.state].filter(Boolean).join(", "),
+      ]
+        .filter(Boolean)
+        .join(" · ");
+      li.append(a, meta);
+      list.appendChild(li);
+    });
+
+    showFirmLocations(profile.locations);
+  }
+
+  // Recalls per report year, each bar split by classification
+  function yearChart(rows) {
+    const box = document.createElement("div");
+    box.className = "chart";
+    const h = document.createElement("h3");
+    h.textContent = "By year and classification";
+    box.appendChild(h);
+    const max = Math.max(1, ...rows.map((r) => r.count));
+    rows.forEach((r) => {
+      const row = document.createElement("div");
+      row.className = "bar-row";
+      const label = document.createElement("span");
+      label.className = "bar-label";
+      label.textContent = r.key;
+      const track = document.createElement("span");
+      track.className = "bar-track stacked";
+      Object.keys(r.by_class)
+        .sort()
+        .forEach((cls) => {
+          const fill = document.createElement("span");
+          fill.className = "bar-fill " + classificationClass(cls);
+          fill.style.width = (r.by_class[cls] / max) * 100 + "%";
+          fill.title = `${cls}: ${r.by_class[cls]}`;
+          track.appendChild(fill);
+        });
+      const count = document.createElement("span");
+      count.className = "bar-count";
+      count.textContent = r.count;
+      row.append(label, track, count);
+      box.appendChild(row);
+    });
+    return box;
+  }
+
+  function clearFirmLocations() {
+    if (firmLayer) map.removeLayer(firmLayer);
+    firmLayer = null;
+  }
+
+  // Ring markers for every address the firm recalled from, on their own layer above
+  // the clusters. Addresses without coordinates go through the geocoding queue.
+  function showFirmLocations(locations) {
+    clearFirmLocations();
+    const layer = L.featureGroup().addTo(map);
+    firmLayer = layer;
+    const place = (loc, pos) => {
+      if (firmLayer !== layer) return;
+      L.circleMarker([pos.lat, pos.lon], {
+        className: "firm-location",
+        radius: 9 + Math.min(loc.count, 10),
+      })
+        .bindPopup(
+          String(
+            HazardHtml.html`<strong>${
+              constructAddress(loc) || "Unknown address"
+            }</strong><br/><small>${loc.count} recall${
+              loc.count === 1 ? "" : "s"
+            }</small>`
+          )
+        )
+        .addTo(layer);
+    };
+    const fit = () => {
+      if (firmLayer === layer && layer.getLayers().length)
+        map.fitBounds(layer.getBounds(), { padding: [40, 40], maxZoom: 10 });
+    };
+    locations.forEach((loc) => {
+      if (loc.lat && loc.lon) return place(loc, loc);
+      const addr = constructAddress(loc);
+      if (!addr) return;
+      if (geocoded.has(addr)) {
+        if (geocoded.get(addr)) place(loc, geocoded.get(addr));
+        return;
+      }
+      enqueueGeocode(addr, (err, val) => {
+        if (err || !val) return;
+        place(loc, val);
+        fit();
+      });
+    });
+    fit();
+  }
+
+  // Category chips for a list item; allergen recalls name the allergens
+  function hazardTags(rec) {
+    const tags = (rec.hazard_categories || []).map((id) => {
+      const text =
+        id === "allergen" && rec.allergens && rec.allergens.length
+          ? `Allergen: ${rec.allergens.join(", ")}`
+          : HazardCategories.label(id);
+      return HazardHtml.html`<span class="tag hazard-${HazardHtml.token(
+        id
+      )}">${text}</span>`;
+    });
+    return tags.length ? HazardHtml.html`<div class="tags">${tags}</div>` : "";
+  }
+
+  // Search-highlighted markup for a record field, or null when the field is empty
+  function highlight(text, q, field) {
+    const out = HazardSearch.highlight(text, q, field);
+    return out ? HazardHtml.raw(out) : null;
+  }
+
+  function currentSearch() {
+    const el = document.getElementById("search");
+    return el ? el.value : "";
   }
 
   function renderList(items) {
+    const q = currentSearch();
     listEl.innerHTML = "";
     items.forEach((rec) => {
       const div = document.createElement("div");
       div.className = "item " + classificationClass(rec.classification);
       div.dataset.id = rec.id;
       const markerColor = markerColorForClass(rec.classification);
-      const iconHtml = `<span class="list-icon" style="background:${markerColor}">${getTypeIcon(
-        rec.type,
-        14,
-        "#ffffff"
+      const iconHtml = HazardHtml.html`<span class="list-icon" style="background:${markerColor}">${HazardHtml.raw(
+        getTypeIcon(rec.type, 14, "#ffffff")
       )}</span>`;
 
       // Format date nicely
@@ -209,22 +990,52 @@
           rec.raw_report_date.slice(6, 8)
         : "N/A";
 
-      div.innerHTML = `
+      div.innerHTML = HazardHtml.html`
         <div class="title">${iconHtml}<span>${
-        rec.product_description || "—"
+        highlight(rec.product_description, q, "product") || "—"
       }</span></div>
         <div class="meta">
-          <strong>${rec.recalling_firm || "Unknown Firm"}</strong><br/>
           ${
-            rec.reason_for_recall
-              ? `<small>${rec.reason_for_recall}</small><br/>`
-              : ""
+            rec.recalling_firm
+              ? HazardHtml.html`<a class="firm-link" href="${firmHash(
+                  rec.recalling_firm
+                )}" title="All recalls by this firm"><strong>${highlight(
+                  rec.recalling_firm,
+                  q,
+                  "firm"
+                )}</strong></a>`
+              : HazardHtml.html`<strong>Unknown Firm</strong>`
+          }<br/>
+          ${
+            rec.reason_for_recall &&
+            HazardHtml.html`<small>${highlight(
+              rec.reason_for_recall,
+              q,
+              "reason"
+            )}</small><br/>`
           }
+          ${hazardTags(rec)}
           ${dateStr} <span class="badge ${classificationClass(
         rec.classification
       )}">${rec.classification || "N/A"}</span>
+          ${
+            rec.status &&
+            HazardHtml.html`<span class="badge status status-${HazardHtml.token(
+              rec.status
+            )}">${rec.status}</span>`
+          }
+          ${
+            rec.product_count
+              ? HazardHtml.html`<span class="badge products">${rec.product_count} products</span>`
+              : ""
+          }
+          <button type="button" class="details-link">Details</button>
         </div>
       `;
+      div.querySelector(".details-link").addEventListener("click", (e) => {
+        e.stopPropagation();
+        location.hash = detailHash(rec.id);
+      });
       div.addEventListener("click", () => {
         highlightListItem(rec.id);
       });
@@ -232,97 +1043,91 @@
     });
   }
 
-  function applyFiltersAndRender() {
-    const searchTerm = (
-      (document.getElementById("search") &&
-        document.getElementById("search").value) ||
-      ""
-    )
-      .trim()
-      .toLowerCase();
-    const type = document.querySelector('input[name="type"]:checked').value;
-    const classSel = document.getElementById("classification").value;
-    const sort = document.getElementById("sort").value;
-    const limitSel = document.getElementById("limit")
-      ? document.getElementById("limit").value
-      : "45";
-
-    let items = rawResults.slice();
-    if (type !== "All") items = items.filter((i) => i.type === type);
-    if (classSel !== "All")
-      items = items.filter(
-        (i) => (i.classification || "").toUpperCase() === classSel.toUpperCase()
-      );
-
-    if (searchTerm) {
-      items = items.filter((i) =>
-        ((i.product_description || "") + " " + (i.recalling_firm || ""))
-          .toLowerCase()
-          .includes(searchTerm)
-      );
-    }
+  // Current state of the filter controls, in the shape HazardFilters.applyView takes
+  function currentView() {
+    return {
+      type: document.querySelector('input[name="type"]:checked').value,
+      classification: document.getElementById("classification").value,
+      status: document.getElementById("status").value,
+      hazard: document.getElementById("hazard").value,
+      search: currentSearch(),
+      sort: document.getElementById("sort").value,
+      limit: document.getElementById("limit")
+        ? document.getElementById("limit").value
+        : "45",
+      group:
+        document.getElementById("groupToggle") &&
+        document.getElementById("groupToggle").checked
+          ? "event"
+          : "",
+      from: timeline && timeline.getRange() ? timeline.getRange().from : "",
+      to: timeline && timeline.getRange() ? timeline.getRange().to : "",
+      bbox: region.bbox,
+      near: region.near,
+      polygon: region.polygon,
+    };
+  }
 
-    // Sorting
-    items.sort((a, b) => {
-      if (sort === "date_desc")
-        return (b.report_date || "").localeCompare(a.report_date || "");
-      if (sort === "date_asc")
-        return (a.report_date || "").localeCompare(b.report_date || "");
-      if (sort === "class_desc")
-        return String(a.classification || "").localeCompare(
-          b.classification || ""
-        );
-      if (sort === "class_asc")
-        return String(b.classification || "").localeCompare(
-          a.classification || ""
-        );
-      return 0;
-    });
+  // `keepViewport` skips fitting the map to the markers (used while the timeline
+  // plays, so the map stays put as the window moves). `history` is how the new
+  // state reaches the URL: "push" (default), "replace" or "none".
+  function applyFiltersAndRender(opts) {
+    opts = opts || {};
+    const view = currentView();
+    const { items, visible } = HazardFilters.applyView(
+      rawResults,
+      view,
+      positionFor
+    );
 
-    // Apply limit selection
-    let visible = items;
-    if (limitSel !== "all") visible = items.slice(0, Number(limitSel));
+    // The timeline shows every date the other filters allow, so the brushed
+    // range can be moved or widened
+    if (timeline)
+      timeline.update(
+        view.from || view.to
+          ? HazardFilters.applyView(
+              rawResults,
+              Object.assign({}, view, { from: "", to: "", limit: "all" }),
+              positionFor
+            ).items
+          : items
+      );
 
-    // Update list
+    // Update list; with an area drawn, say how many otherwise matching records it
+    // cannot include because they have no map position (yet)
+    const unlocated = hasRegion()
+      ? HazardFilters.applyView(
+          rawResults,
+          Object.assign({}, view, emptyRegion(), { limit: "all" })
+        ).items.filter((r) => !(r.products || [r]).some(positionFor)).length
+      : 0;
     countEl.textContent =
       visible.length +
       (items.length > visible.length
         ? ` (showing ${visible.length} of ${items.length})`
-        : "");
+        : "") +
+      (unlocated ? `, ${unlocated} without a map position` : "");
     renderList(visible);
 
-    // Clear markers and add markers only for visible items that have been geocoded or that can be geocoded
-    clearMarkers();
-    visible.forEach((rec) => {
-      // prefer explicit coordinates if present
-      if (rec.lat && rec.lon) {
-        addMarkerFor(rec, rec.lat, rec.lon);
-        return;
-      }
-      const addr = constructAddress(rec);
-      if (!addr) return; // skip
-      const key = addr;
-      const cached = geocache[key];
-      if (cached) {
-        addMarkerFor(rec, cached.lat, cached.lon);
-      } else {
-        enqueueGeocode(key, (err, val) => {
-          if (err) {
-            console.warn("Geocode err", err);
-            return;
-          }
-          if (val) {
-            addMarkerFor(rec, val.lat, val.lon);
-          }
-        });
-      }
-    });
+    // The distribution layer reflects the whole filtered set, not just the visible page
+    filteredItems = items;
+    renderDistributionLayer();
+    renderDashboard();
 
-    // If we added markers, adjust map to show them
+    // Add/remove only the markers that changed for the visible items
+    visibleItems = visible;
+    syncMarkers(visible);
+
+    writeUrlState(opts.history || "push");
+
+    // If we added markers, adjust map to show them. Bounds come from our own map
+    // of markers since chunked loading adds them to the cluster layer gradually.
+    if (opts.keepViewport) return;
     try {
-      const layers = markersLayer.getLayers();
-      if (layers && layers.length) {
-        const bounds = markersLayer.getBounds();
+      if (markers.size) {
+        const bounds = L.latLngBounds(
+          Array.from(markers.values()).map((m) => m.getLatLng())
+        );
         if (bounds.isValid()) {
           map.fitBounds(bounds, { padding: [40, 40], maxZoom: 12 });
         }
@@ -339,8 +1144,14 @@
       if (!resp.ok) throw new Error("Server error " + resp.status);
       const data = await resp.json();
       rawResults = Array.isArray(data.results) ? data.results : [];
-      // show banner if server indicates we're using sample fallback
-      if (data.using_sample && sampleBanner)
+      // show banner if server indicates we're using sample fallback or a stale cache
+      if (data.stale && sampleBanner) {
+        const when = data.fetched_at
+          ? new Date(data.fetched_at).toLocaleString()
+          : "an earlier pull";
+        sampleBanner.textContent = `openFDA is unreachable — showing cached data from ${when}.`;
+        sampleBanner.classList.remove("hidden");
+      } else if (data.using_sample && sampleBanner)
         sampleBanner.classList.remove("hidden");
       else if (sampleBanner) sampleBanner.classList.add("hidden");
 
@@ -365,8 +1176,8 @@
       // Queue all addresses for geocoding in background (don't wait for completion)
       Array.from(addressSet).forEach((addr) => {
         enqueueGeocode(addr, () => {
-          // Geocoding complete for this address, re-render to show the new marker
-          applyFiltersAndRender();
+          // Geocoding complete for this address; markers are diffed in batches
+          refreshMarkersSoon();
         });
       });
 
@@ -386,13 +1197,68 @@
           sel.appendChild(option);
         });
 
-      applyFiltersAndRender();
+      // restore filters and viewport from a shared URL
+      const state = readUrlState();
+      applyUrlState(state);
+      urlReady = true;
+      applyFiltersAndRender({ history: "replace", keepViewport: !!state.map });
+      // restore a shared #recall=<id> or #firm=<name> permalink
+      if (recallIdFromHash() || firmNameFromHash()) syncDetailWithHash();
     } catch (err) {
       console.error(err);
       showMessage("Failed to load recalls: " + err.message, true);
     }
   }
 
+  // Download exactly what the list shows: the server reloads the same dataset and
+  // applies the same view filters (public/filters.js) before streaming the file.
+  function exportCurrentView() {
+    const format = document.getElementById("exportFormat").value;
+    const view = currentView();
+    const qs = new URLSearchParams({ format });
+    Object.keys(view).forEach((key) => qs.set(`view[${key}]`, view[key]));
+    const a = document.createElement("a");
+    a.href = `${API}/export?${qs.toString()}`;
+    a.download = "";
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+  }
+
+  // Save the current filters as a named watchlist; the server alerts it about new
+  // recalls that match (see /api/watchlists)
+  async function saveWatchlist() {
+    const view = currentView();
+    const criteria = {};
+    if (view.type !== "All") criteria.types = [view.type];
+    if (view.classification !== "All")
+      criteria.classifications = [view.classification];
+    if (view.hazard !== "All") criteria.hazards = [view.hazard];
+    if (view.search.trim()) criteria.keywords = view.search.trim();
+    if (!Object.keys(criteria).length) {
+      showMessage("Pick a filter or search to watch first.", true);
+      return;
+    }
+    const name = window.prompt("Watchlist name");
+    if (!name) return;
+    try {
+      const resp = await fetch("/api/watchlists", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name, criteria }),
+      });
+      const data = await resp.json();
+      if (!resp.ok)
+        throw new Error(
+          (data.details || []).map((d) => d.message).join("; ") ||
+            "Server error " + resp.status
+        );
+      showMessage(`Saved watchlist "${data.name}"`);
+    } catch (err) {
+      showMessage("Failed to save watchlist: " + err.message, true);
+    }
+  }
+
   function attachControls() {
     document.querySelectorAll('input[name="type"]').forEach((el) =>
       el.addEventListener("change", () => {
@@ -403,16 +1269,79 @@
     document
       .getElementById("classification")
       .addEventListener("change", applyFiltersAndRender);
+    document
+      .getElementById("status")
+      .addEventListener("change", applyFiltersAndRender);
     document
       .getElementById("sort")
       .addEventListener("change", applyFiltersAndRender);
+    const hazardSel = document.getElementById("hazard");
+    HazardCategories.CATEGORIES.forEach((c) => {
+      const option = document.createElement("option");
+      option.value = c.id;
+      option.textContent = c.label;
+      hazardSel.appendChild(option);
+    });
+    hazardSel.addEventListener("change", applyFiltersAndRender);
     const limitEl = document.getElementById("limit");
     if (limitEl) limitEl.addEventListener("change", applyFiltersAndRender);
     const searchEl = document.getElementById("search");
-    if (searchEl)
-      searchEl.addEventListener("input", () => {
-        applyFiltersAndRender();
+    window.addEventListener("hashchange", syncDetailWithHash);
+    document.getElementById("detailClose").addEventListener("click", () => {
+      closeDetail();
+    });
+    document.getElementById("firmClose").addEventListener("click", () => {
+      closeFirm();
+    });
+    document.addEventListener("keydown", (e) => {
+      if (e.key !== "Escape") return;
+      if (recallIdFromHash()) closeDetail();
+      else if (firmNameFromHash()) closeFirm();
+    });
+    document.getElementById("detailCopyLink").addEventListener("click", () => {
+      const id = recallIdFromHash();
+      if (!id) return;
+      const url =
+        location.origin + location.pathname + location.search + detailHash(id);
+      navigator.clipboard
+        .writeText(url)
+        .then(() => showMessage("Permalink copied"))
+        .catch(() => showMessage(url));
+    });
+    document.getElementById("firmCopyLink").addEventListener("click", () => {
+      const name = firmNameFromHash();
+      if (!name) return;
+      const url =
+        location.origin + location.pathname + location.search + firmHash(name);
+      navigator.clipboard
+        .writeText(url)
+        .then(() => showMessage("Permalink copied"))
+        .catch(() => showMessage(url));
+    });
+    const watchBtn = document.getElementById("saveWatchlist");
+    if (watchBtn) watchBtn.addEventListener("click", saveWatchlist);
+    const exportBtn = document.getElementById("exportBtn");
+    if (exportBtn) exportBtn.addEventListener("click", exportCurrentView);
+    const dashboard = document.getElementById("dashboard");
+    if (dashboard) dashboard.addEventListener("toggle", renderDashboard);
+    const groupEl = document.getElementById("groupToggle");
+    if (groupEl) groupEl.addEventListener("change", applyFiltersAndRender);
+    const distEl = document.getElementById("distributionToggle");
+    if (distEl)
+      distEl.addEventListener("change", () => {
+        toggleDistributionLayer(distEl.checked);
+        writeUrlState("push");
       });
+    const unitEl = document.getElementById("timelineUnit");
+    if (unitEl) unitEl.addEventListener("change", () => writeUrlState("push"));
+    // typing refines one history entry rather than adding one per keystroke
+    if (searchEl)
+      searchEl.addEventListener(
+        "input",
+        debounce(() => applyFiltersAndRender({ history: "replace" }), 200)
+      );
+    map.on("moveend", () => writeUrlState("replace"));
+    window.addEventListener("popstate", restoreFromHistory);
   }
 
   function updateTypePills() {
@@ -427,8 +1356,272 @@
     });
   }
 
+  // Horizontal bar chart of [{ key, count }] rows, built with textContent.
+  // `byClass` colours bars by classification.
+  function barChart(title, rows, byClass) {
+    const box = document.createElement("div");
+    box.className = "chart";
+    const h = document.createElement("h3");
+    h.textContent = title;
+    box.appendChild(h);
+    const max = Math.max(1, ...rows.map((r) => r.count));
+    rows.forEach((r) => {
+      const row = document.createElement("div");
+      row.className = "bar-row";
+      const label = document.createElement("span");
+      label.className = "bar-label";
+      label.textContent = r.key;
+      label.title = r.key;
+      const track = document.createElement("span");
+      track.className = "bar-track";
+      const fill = document.createElement("span");
+      fill.className =
+        "bar-fill" + (byClass ? " " + classificationClass(r.key) : "");
+      fill.style.width = (r.count / max) * 100 + "%";
+      track.appendChild(fill);
+      const count = document.createElement("span");
+      count.className = "bar-count";
+      count.textContent = r.count;
+      row.append(label, track, count);
+      box.appendChild(row);
+    });
+    if (!rows.length) {
+      const empty = document.createElement("small");
+      empty.textContent = "No data";
+      box.appendChild(empty);
+    }
+    return box;
+  }
+
+  // Month columns, oldest first
+  function monthChart(rows) {
+    const box = document.createElement("div");
+    box.className = "chart wide";
+    const h = document.createElement("h3");
+    h.textContent = "Recalls per month";
+    box.appendChild(h);
+    const cols = document.createElement("div");
+    cols.className = "month-cols";
+    const max = Math.max(1, ...rows.map((r) => r.count));
+    rows.forEach((r) => {
+      const col = document.createElement("span");
+      col.className = "month-col";
+      col.style.height = (r.count / max) * 100 + "%";
+      col.title = `${r.key}: ${r.count}`;
+      cols.appendChild(col);
+    });
+    box.appendChild(cols);
+    return box;
+  }
+
+  // Dashboard charts over the filtered records; skipped while the panel is closed
+  function renderDashboard() {
+    const panel = document.getElementById("dashboard");
+    if (!panel || !panel.open) return;
+    const stats = HazardStats.computeStats(filteredItems);
+    const charts = document.getElementById("dashboardCharts");
+    charts.textContent = "";
+    charts.append(
+      barChart("By type", stats.by_type),
+      barChart("By classification", stats.by_classification, true),
+      barChart("Top firm states", stats.by_state.slice(0, HazardStats.TOP_N)),
+      barChart("Top recalling firms", stats.top_firms),
+      barChart(
+        "Reasons for recall",
+        stats.top_reasons.map((r) => ({
+          key:
+            r.key === "uncategorized"
+              ? "Uncategorized"
+              : HazardCategories.label(r.key),
+          count: r.count,
+        }))
+      ),
+      monthChart(stats.by_month)
+    );
+
+    // the JSON link asks the server for the same numbers
+    const view = currentView();
+    delete view.limit;
+    const qs = new URLSearchParams();
+    Object.keys(view).forEach((key) => qs.set(`view[${key}]`, view[key]));
+    document.getElementById("statsLink").href = `/api/stats?${qs.toString()}`;
+  }
+
+  function initTimeline() {
+    const chart = document.getElementById("timelineChart");
+    if (!chart || !window.HazardTimeline) return;
+    timeline = HazardTimeline.createTimeline({
+      chart,
+      unitSelect: document.getElementById("timelineUnit"),
+      playButton: document.getElementById("timelinePlay"),
+      clearButton: document.getElementById("timelineClear"),
+      label: document.getElementById("timelineRange"),
+      onRange: (range, { playing }) =>
+        applyFiltersAndRender({
+          keepViewport: playing,
+          history: playing ? "replace" : "push",
+        }),
+    });
+  }
+
+  // Shareable URL state. Filters, the timeline range and bucket, map layers, the
+  // drawn area and the viewport live in the query string; the open recall stays in
+  // the hash (#recall=<id>). Filter changes push history entries so back/forward
+  // step through them; typing, map moves and timeline playback replace the current
+  // one.
+  const URL_DEFAULTS = {
+    type: "All",
+    class: "All",
+    status: "All",
+    hazard: "All",
+    sort: "date_desc",
+    limit: "45",
+    q: "",
+    group: "",
+    from: "",
+    to: "",
+    bucket: "month",
+    layers: "",
+    bbox: "",
+    near: "",
+    polygon: "",
+  };
+
+  function uiState() {
+    const view = currentView();
+    const unitEl = document.getElementById("timelineUnit");
+    const distEl = document.getElementById("distributionToggle");
+    return {
+      type: view.type,
+      class: view.classification,
+      status: view.status,
+      hazard: view.hazard,
+      sort: view.sort,
+      limit: view.limit,
+      q: view.search,
+      group: view.group,
+      from: view.from,
+      to: view.to,
+      bucket: unitEl ? unitEl.value : "month",
+      layers: distEl && distEl.checked ? "distribution" : "",
+      bbox: view.bbox,
+      near: view.near,
+      polygon: view.polygon,
+    };
+  }
+
+  function writeUrlState(mode) {
+    if (!urlReady || restoring || mode === "none") return;
+    const state = uiState();
+    const qs = new URLSearchParams();
+    Object.keys(URL_DEFAULTS).forEach((key) => {
+      if (state[key] && state[key] !== URL_DEFAULTS[key])
+        qs.set(key, state[key]);
+    });
+    const c = map.getCenter();
+    qs.set("map", `${c.lat.toFixed(4)},${c.lng.toFixed(4)},${map.getZoom()}`);
+    const search = "?" + qs.toString();
+    appliedSearch = search;
+    if (search === location.search) return;
+    const url = location.pathname + search + location.hash;
+    if (mode === "replace") history.replaceState(null, "", url);
+    else history.pushState(null, "", url);
+  }
+
+  // URL query -> state with defaults filled in; `map` is { lat, lng, zoom } or null
+  function readUrlState() {
+    const qs = new URLSearchParams(location.search);
+    const state = {};
+    Object.keys(URL_DEFAULTS).forEach((key) => {
+      state[key] = qs.has(key) ? qs.get(key) : URL_DEFAULTS[key];
+    });
+    if (!/^\d{8}$/.test(state.from) || !/^\d{8}$/.test(state.to)) {
+      state.from = "";
+      state.to = "";
+    }
+    const m = /^(-?[\d.]+),(-?[\d.]+),(\d+)$/.exec(qs.get("map") || "");
+    state.map = m
+      ? { lat: Number(m[1]), lng: Number(m[2]), zoom: Number(m[3]) }
+      : null;
+    return state;
+  }
+
+  // Select `value` if the <select> offers it, otherwise the first option
+  function setSelect(el, value) {
+    if (!el) return;
+    el.value = value;
+    if (el.value !== value) el.selectedIndex = 0;
+  }
+
+  function applyUrlState(state) {
+    const typeEl =
+      document.querySelector(
+        `input[name="type"][value="${CSS.escape(state.type)}"]`
+      ) || document.querySelector('input[name="type"][value="All"]');
+    if (typeEl) typeEl.checked = true;
+    updateTypePills();
+
+    // classification options come from the data; keep a shared value that this
+    // dataset lacks so the link still means the same thing
+    const classEl = document.getElementById("classification");
+    if (
+      state.class !== "All" &&
+      !Array.from(classEl.options).some((o) => o.value === state.class)
+    ) {
+      const option = document.createElement("option");
+      option.value = state.class;
+      option.textContent = state.class;
+      classEl.appendChild(option);
+    }
+    setSelect(classEl, state.class);
+    setSelect(document.getElementById("status"), state.status);
+    setSelect(document.getElementById("hazard"), state.hazard);
+    setSelect(document.getElementById("sort"), state.sort);
+    setSelect(document.getElementById("limit"), state.limit);
+    const searchEl = document.getElementById("search");
+    if (searchEl) searchEl.value = state.q;
+    const groupEl = document.getElementById("groupToggle");
+    if (groupEl) groupEl.checked = state.group === "event";
+
+    const unitEl = document.getElementById("timelineUnit");
+    if (unitEl && unitEl.value !== state.bucket) {
+      setSelect(unitEl, state.bucket);
+      unitEl.dispatchEvent(new Event("change"));
+    }
+    if (timeline)
+      timeline.restore(state.from ? { from: state.from, to: state.to } : null);
+
+    const distEl = document.getElementById("distributionToggle");
+    const distOn = state.layers === "distribution";
+    if (distEl && distEl.checked !== distOn) {
+      distEl.checked = distOn;
+      toggleDistributionLayer(distOn);
+    }
+
+    drawRegion(state);
+
+    if (state.map) map.setView([state.map.lat, state.map.lng], state.map.zoom);
+  }
+
+  // Back/forward. Hash-only steps (opening a recall) leave the filters alone.
+  function restoreFromHistory() {
+    if (!urlReady || restoring) return;
+    if (location.search === appliedSearch) return;
+    appliedSearch = location.search;
+    restoring = true;
+    try {
+      const state = readUrlState();
+      applyUrlState(state);
+      applyFiltersAndRender({ history: "none", keepViewport: !!state.map });
+    } finally {
+      restoring = false;
+    }
+    syncDetailWithHash();
+  }
+
   // Init
   initMap();
+  initTimeline();
   attachControls();
   // reflect initial active pill state
   updateTypePills();
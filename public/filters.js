@@ -0,0 +1,175 @@
+// View filters and event grouping shared by the browser list (applyFiltersAndRender)
+// and the server's recall and export endpoints, so an export contains exactly the
+// recalls the list shows.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports)
+    module.exports = factory(require("./search"), require("./geo"));
+  else root.HazardFilters = factory(root.HazardSearch, root.HazardGeo);
+})(typeof self !== "undefined" ? self : this, function (HazardSearch, Geo) {
+  const SORTS = ["date_desc", "date_asc", "class_desc", "class_asc"];
+  const GROUPS = ["event"];
+  const CLASS_ORDER = ["Class I", "Class II", "Class III"];
+  // openFDA recall statuses, most open first
+  const STATUS_ORDER = ["Ongoing", "Pending", "Completed", "Terminated"];
+
+  function severity(classification) {
+    const i = CLASS_ORDER.indexOf(classification);
+    return i === -1 ? CLASS_ORDER.length : i;
+  }
+
+  function openness(status) {
+    const i = STATUS_ORDER.indexOf(status);
+    return i === -1 ? STATUS_ORDER.length : i;
+  }
+
+  function union(lists) {
+    return Array.from(new Set([].concat(...lists))).sort();
+  }
+
+  // Collapse the product rows of one recall event (same type and event_id) into
+  // a single entry. The entry takes the first (newest) row's fields, the most
+  // severe classification, the most open status, the union of distribution
+  // places and the first known coordinates, and lists every row under
+  // `products`. Rows without an event_id, and events with a single product, are
+  // returned unchanged.
+  function groupByEvent(records) {
+    const events = new Map();
+    const out = [];
+    records.forEach((rec) => {
+      if (!rec.event_id) {
+        out.push(rec);
+        return;
+      }
+      const key = rec.type + ":" + rec.event_id;
+      let products = events.get(key);
+      if (!products) {
+        products = [];
+        events.set(key, products);
+        out.push(products);
+      }
+      products.push(rec);
+    });
+    return out.map((entry) => {
+      if (!Array.isArray(entry)) return entry;
+      if (entry.length === 1) return entry[0];
+      const first = entry[0];
+      const located = entry.find(
+        (p) => typeof p.lat === "number" && typeof p.lon === "number"
+      );
+      const worst = entry.reduce((a, b) =>
+        severity(b.classification) < severity(a.classification) ? b : a
+      );
+      const open = entry.reduce((a, b) =>
+        openness(b.status) < openness(a.status) ? b : a
+      );
+      return Object.assign({}, first, {
+        id: "event-" + String(first.type).toLowerCase() + "-" + first.event_id,
+        classification: worst.classification,
+        status: open.status,
+        // an event is terminated once its last product is
+        termination_date:
+          open.status === "Terminated"
+            ? entry
+                .map((p) => p.termination_date || "")
+                .sort()
+                .pop() || null
+            : null,
+        distribution_states: union(
+          entry.map((p) => p.distribution_states || [])
+        ),
+        distribution_nationwide: entry.some((p) => p.distribution_nationwide),
+        distribution_countries: union(
+          entry.map((p) => p.distribution_countries || [])
+        ),
+        hazard_categories: union(entry.map((p) => p.hazard_categories || [])),
+        allergens: union(entry.map((p) => p.allergens || [])),
+        lat: located ? located.lat : first.lat,
+        lon: located ? located.lon : first.lon,
+        geo_precision: located ? located.geo_precision : first.geo_precision,
+        product_count: entry.length,
+        products: entry,
+      });
+    });
+  }
+
+  function compare(sort) {
+    return (a, b) => {
+      if (sort === "date_desc")
+        return (b.report_date || "").localeCompare(a.report_date || "");
+      if (sort === "date_asc")
+        return (a.report_date || "").localeCompare(b.report_date || "");
+      if (sort === "class_desc")
+        return String(a.classification || "").localeCompare(
+          b.classification || ""
+        );
+      if (sort === "class_asc")
+        return String(b.classification || "").localeCompare(
+          a.classification || ""
+        );
+      return 0;
+    };
+  }
+
+  // Apply a view ({ type, classification, status, hazard, search, sort, limit,
+  // group, from, to, bbox, near, polygon }) to records. `hazard` is a hazard
+  // category id (public/hazards.js) and `from`/`to` are inclusive YYYYMMDD
+  // report dates. bbox/near/polygon is a map region (public/geo.js, passed in
+  // as Geo); records are placed by `positionOf(record)`, which defaults to their
+  // own lat/lon, and those without a position are left out. Returns
+  // { items, visible }: every match, and the first `limit` of them. With group
+  // "event" the matches are event entries (see groupByEvent).
+  function applyView(records, view, positionOf) {
+    view = view || {};
+    const type = view.type || "All";
+    const classSel = view.classification || "All";
+    const searchTerm = String(view.search || "").trim();
+    // search the records as given so the index is reused between keystrokes
+    const matched = searchTerm
+      ? new Set(HazardSearch.search(records, searchTerm).map((r) => r.id))
+      : null;
+
+    let items =
+      view.group === "event" ? groupByEvent(records) : records.slice();
+    if (type !== "All") items = items.filter((i) => i.type === type);
+    if (view.from)
+      items = items.filter((i) => (i.raw_report_date || "") >= view.from);
+    if (view.to)
+      items = items.filter(
+        (i) => i.raw_report_date && i.raw_report_date <= view.to
+      );
+    if (view.hazard && view.hazard !== "All")
+      items = items.filter((i) =>
+        (i.hazard_categories || []).includes(view.hazard)
+      );
+    if (classSel !== "All")
+      items = items.filter(
+        (i) => (i.classification || "").toUpperCase() === classSel.toUpperCase()
+      );
+    if (view.status && view.status !== "All")
+      items = items.filter((i) => i.status === view.status);
+    const region = Geo.parseRegion(view).shapes;
+    if (region.length) {
+      const place = positionOf || ((r) => r);
+      // an event is inside when any of its products is
+      items = items.filter((i) =>
+        (i.products || [i]).some((p) => Geo.inRegion(region, place(p)))
+      );
+    }
+
+    if (matched) {
+      // an event matches when any of its products does
+      items = items.filter((i) =>
+        (i.products || [i]).some((p) => matched.has(p.id))
+      );
+    }
+
+    if (view.sort) items.sort(compare(view.sort));
+
+    let visible = items;
+    if (view.limit && view.limit !== "all")
+      visible = items.slice(0, Number(view.limit));
+    return { items, visible };
+  }
+
+  return { SORTS, GROUPS, STATUS_ORDER, groupByEvent, applyView };
+});
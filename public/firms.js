@@ -0,0 +1,210 @@
+// Firm names as openFDA reports them vary between recalls ("Acme Foods, Inc.",
+// "ACME FOODS INC", "Acme Foods Incorporated"). This folds those spellings onto one
+// key and builds a firm's profile from its recalls; shared by the server's
+// /api/firms/:name endpoint and the dashboard's top-firms tally.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.HazardFirms = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  // Legal-form words dropped from the end of a name
+  const SUFFIXES = new Set([
+    "inc",
+    "incorporated",
+    "llc",
+    "lp",
+    "llp",
+    "pllc",
+    "ltd",
+    "limited",
+    "co",
+    "corp",
+    "corporation",
+    "company",
+    "plc",
+    "gmbh",
+    "sa",
+    "ag",
+  ]);
+  // Keys at least this long may differ by one edit ("Foods" / "Food") and still
+  // count as the same firm; shorter ones must match exactly
+  const FUZZY_MIN_LENGTH = 8;
+
+  // "The Acme Foods Co., Inc." -> "acme foods". Returns "" for names without
+  // letters or digits.
+  function firmKey(name) {
+    const words = String(name || "")
+      .toLowerCase()
+      .replace(/[.']/g, "")
+      .replace(/&/g, " and ")
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+    if (words[0] === "the" && words.length > 1) words.shift();
+    while (words.length > 1 && SUFFIXES.has(words[words.length - 1]))
+      words.pop();
+    return words.join(" ");
+  }
+
+  // The word openFDA is searched for to collect a firm's recalls, which sameFirm()
+  // then picks out: the first word of three or more letters or digits that is not
+  // "the", "and" or a legal form. Words with an apostrophe are indexed whole by
+  // openFDA ("jerry's"), so they are only used when there is nothing else.
+  function firmSearchWord(name) {
+    const words = String(name || "")
+      .toLowerCase()
+      .split(/[^a-z0-9']+/)
+      .filter(Boolean);
+    const plain = words.filter(
+      (w) =>
+        /^[a-z0-9]+$/.test(w) && w !== "the" && w !== "and" && !SUFFIXES.has(w)
+    );
+    return plain.find((w) => w.length >= 3) || plain[0] || words[0] || "";
+  }
+
+  // Levenshtein distance, giving up (returning max + 1) once it exceeds `max`
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      let best = i;
+      for (let j = 1; j <= b.length; j++) {
+        row[j] = Math.min(
+          prev[j] + 1,
+          row[j - 1] + 1,
+          prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        best = Math.min(best, row[j]);
+      }
+      if (best > max) return max + 1;
+      prev = row;
+    }
+    return prev[b.length];
+  }
+
+  // Whether two firm keys name the same firm
+  function sameFirm(a, b) {
+    if (!a || !b) return false;
+    if (a === b) return true;
+    return (
+      Math.min(a.length, b.length) >= FUZZY_MIN_LENGTH &&
+      editDistance(a, b, 1) <= 1
+    );
+  }
+
+  // [{ key, count }] largest first, ties by key
+  function countBy(values) {
+    const counts = new Map();
+    values.forEach((v) => counts.set(v, (counts.get(v) || 0) + 1));
+    return Array.from(counts, ([key, count]) => ({ key, count })).sort(
+      (a, b) => b.count - a.count || String(a.key).localeCompare(b.key)
+    );
+  }
+
+  // The firm's own addresses, one entry per distinct address with the recalls
+  // reported from it. lat/lon come from server-attached coordinates when present.
+  function firmLocations(rows) {
+    const byAddress = new Map();
+    rows.forEach((r) => {
+      const parts = [r.address_1, r.city, r.state, r.postal_code, r.country];
+      const key = parts
+        .map((p) =>
+          String(p || "")
+            .toLowerCase()
+            .trim()
+        )
+        .join("|");
+      let loc = byAddress.get(key);
+      if (!loc) {
+        loc = {
+          address_1: r.address_1 || null,
+          city: r.city || null,
+          state: r.state || null,
+          postal_code: r.postal_code || null,
+          country: r.country || null,
+          lat: null,
+          lon: null,
+          geo_precision: null,
+          count: 0,
+          recall_ids: [],
+        };
+        byAddress.set(key, loc);
+      }
+      if (loc.lat === null && r.lat && r.lon) {
+        loc.lat = r.lat;
+        loc.lon = r.lon;
+        loc.geo_precision = r.geo_precision || null;
+      }
+      loc.count++;
+      loc.recall_ids.push(r.id);
+    });
+    return Array.from(byAddress.values()).sort((a, b) => b.count - a.count);
+  }
+
+  // Profile of the firm `name` over `records` (event entries are expanded to their
+  // product rows), or null when none of them is the firm's. by_year counts recalls
+  // per report year and classification, oldest first.
+  function firmProfile(records, name) {
+    const key = firmKey(name);
+    const rows = []
+      .concat(...records.map((r) => r.products || [r]))
+      .filter((r) => sameFirm(firmKey(r.recalling_firm), key))
+      .sort((a, b) =>
+        (b.raw_report_date || "").localeCompare(a.raw_report_date || "")
+      );
+    if (!rows.length) return null;
+
+    // most used spelling first; ties go to the most recent one
+    const spellings = new Map();
+    rows.forEach((r) => {
+      const spelling = r.recalling_firm.trim();
+      spellings.set(spelling, (spellings.get(spelling) || 0) + 1);
+    });
+    const variants = Array.from(spellings, ([name, count]) => ({
+      name,
+      count,
+    })).sort((a, b) => b.count - a.count);
+    const years = new Map();
+    rows.forEach((r) => {
+      const year = String(r.raw_report_date || "").slice(0, 4) || "Unknown";
+      const entry = years.get(year) || { key: year, count: 0, by_class: {} };
+      const cls = r.classification || "N/A";
+      entry.count++;
+      entry.by_class[cls] = (entry.by_class[cls] || 0) + 1;
+      years.set(year, entry);
+    });
+    const dates = rows.map((r) => r.report_date).filter(Boolean);
+
+    return {
+      name: variants[0].name,
+      key,
+      variants,
+      total: rows.length,
+      first_report_date: dates.length ? dates[dates.length - 1] : null,
+      last_report_date: dates.length ? dates[0] : null,
+      by_classification: countBy(rows.map((r) => r.classification || "N/A")),
+      by_year: Array.from(years.values()).sort((a, b) =>
+        a.key.localeCompare(b.key)
+      ),
+      locations: firmLocations(rows),
+      recalls: rows,
+    };
+  }
+
+  // A profile with no recalls, for a firm whose rows may lie beyond those fetched
+  function emptyProfile(name) {
+    return {
+      name: String(name).trim(),
+      key: firmKey(name),
+      variants: [],
+      total: 0,
+      first_report_date: null,
+      last_report_date: null,
+      by_classification: [],
+      by_year: [],
+      locations: [],
+      recalls: [],
+    };
+  }
+
+  return { firmKey, firmSearchWord, sameFirm, firmProfile, emptyProfile };
+});
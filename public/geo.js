@@ -0,0 +1,161 @@
+// Map regions that recalls can be narrowed to: a bounding box, a circle ("within N
+// miles of a point") and a polygon, given as text the same way in /api/recalls
+// parameters, view[...] filters and the page URL. Shared by public/filters.js and
+// the server's query parsing.
+//
+//   bbox     west,south,east,north       e.g. -84.9,38.4,-80.5,42.3
+//   near     lat,lon,miles               e.g. 39.96,-83.00,25
+//   polygon  lat,lon;lat,lon;lat,lon...  at least three corners
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.HazardGeo = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const REGION_KEYS = ["bbox", "near", "polygon"];
+  const EARTH_RADIUS_MILES = 3958.8;
+  const MAX_RADIUS_MILES = 3000;
+  const MAX_POLYGON_POINTS = 200;
+
+  function numbers(text, count) {
+    const parts = String(text).split(",");
+    if (parts.length !== count) return null;
+    const out = parts.map((p) => (/^\s*-?\d+(\.\d+)?\s*$/.test(p) ? +p : NaN));
+    return out.some(isNaN) ? null : out;
+  }
+
+  function validPoint(lat, lon) {
+    return lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180;
+  }
+
+  // Each parser returns { shape } or { error } (a message for the caller's
+  // { param, value, message } entry)
+  function parseBbox(text) {
+    const n = numbers(text, 4);
+    if (!n || !validPoint(n[1], n[0]) || !validPoint(n[3], n[2]))
+      return { error: "Expected west,south,east,north in decimal degrees" };
+    if (n[0] > n[2] || n[1] > n[3])
+      return { error: "west must not exceed east, nor south exceed north" };
+    return {
+      shape: { kind: "bbox", west: n[0], south: n[1], east: n[2], north: n[3] },
+    };
+  }
+
+  function parseNear(text) {
+    const n = numbers(text, 3);
+    if (!n || !validPoint(n[0], n[1]))
+      return { error: "Expected lat,lon,miles in decimal degrees and miles" };
+    if (!(n[2] > 0 && n[2] <= MAX_RADIUS_MILES))
+      return {
+        error: `Radius must be more than 0 and at most ${MAX_RADIUS_MILES} miles`,
+      };
+    return { shape: { kind: "near", lat: n[0], lon: n[1], miles: n[2] } };
+  }
+
+  function parsePolygon(text) {
+    const points = String(text)
+      .split(";")
+      .filter((p) => p.trim())
+      .map((p) => numbers(p, 2));
+    if (points.some((p) => !p || !validPoint(p[0], p[1])))
+      return { error: "Expected lat,lon pairs separated by ;" };
+    if (points.length < 3 || points.length > MAX_POLYGON_POINTS)
+      return {
+        error: `Expected between 3 and ${MAX_POLYGON_POINTS} corners`,
+      };
+    return { shape: { kind: "polygon", points } };
+  }
+
+  const PARSERS = { bbox: parseBbox, near: parseNear, polygon: parsePolygon };
+
+  // Shapes for the region keys present (non-empty) in `source`, e.g. req.query or a
+  // view. Returns { shapes, errors } with errors as { key, value, message }.
+  function parseRegion(source) {
+    const shapes = [];
+    const errors = [];
+    REGION_KEYS.forEach((key) => {
+      const value = source && source[key];
+      if (value === undefined || value === null || String(value).trim() === "")
+        return;
+      const { shape, error } = PARSERS[key](value);
+      if (error) errors.push({ key, value, message: error });
+      else shapes.push(shape);
+    });
+    return { shapes, errors };
+  }
+
+  function toRad(deg) {
+    return (deg * Math.PI) / 180;
+  }
+
+  // Great-circle distance in miles between { lat, lon } points
+  function distanceMiles(a, b) {
+    const dLat = toRad(b.lat - a.lat);
+    const dLon = toRad(b.lon - a.lon);
+    const h =
+      Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
+
+  // Ray casting over [lat, lon] corners; points on an edge may fall either way
+  function inPolygon(point, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const [latI, lonI] = points[i];
+      const [latJ, lonJ] = points[j];
+      if (
+        latI > point.lat !== latJ > point.lat &&
+        point.lon < ((lonJ - lonI) * (point.lat - latI)) / (latJ - latI) + lonI
+      )
+        inside = !inside;
+    }
+    return inside;
+  }
+
+  function contains(shape, point) {
+    if (shape.kind === "bbox")
+      return (
+        point.lon >= shape.west &&
+        point.lon <= shape.east &&
+        point.lat >= shape.south &&
+        point.lat <= shape.north
+      );
+    if (shape.kind === "near")
+      return distanceMiles(shape, point) <= shape.miles;
+    return inPolygon(point, shape.points);
+  }
+
+  // Whether a { lat, lon } point (or null) lies inside every shape
+  function inRegion(shapes, point) {
+    if (
+      !point ||
+      typeof point.lat !== "number" ||
+      typeof point.lon !== "number"
+    )
+      return false;
+    return shapes.every((shape) => contains(shape, point));
+  }
+
+  // Shape -> its text form (coordinates to 5 decimals, about a metre)
+  function formatShape(shape) {
+    const f = (n) => String(Number(n.toFixed(5)));
+    if (shape.kind === "bbox")
+      return [shape.west, shape.south, shape.east, shape.north]
+        .map(f)
+        .join(",");
+    if (shape.kind === "near")
+      return [
+        f(shape.lat),
+        f(shape.lon),
+        String(Number(shape.miles.toFixed(2))),
+      ].join(",");
+    return shape.points.map((p) => `${f(p[0])},${f(p[1])}`).join(";");
+  }
+
+  return {
+    REGION_KEYS,
+    parseRegion,
+    distanceMiles,
+    inRegion,
+    formatShape,
+  };
+});
@@ -0,0 +1,93 @@
+// Rule-based hazard categories for openFDA `reason_for_recall` text. The server
+// tags every record during normalization (`hazard_categories`, `allergens`); the
+// browser uses the same table for the facet labels.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.HazardCategories = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const CATEGORIES = [
+    { id: "allergen", label: "Undeclared allergen" },
+    { id: "listeria", label: "Listeria" },
+    { id: "salmonella", label: "Salmonella" },
+    { id: "e_coli", label: "E. coli" },
+    { id: "foreign_material", label: "Foreign material" },
+    { id: "cgmp", label: "cGMP deviations" },
+    { id: "labeling", label: "Labeling / mislabeling" },
+    { id: "sterility", label: "Sterility" },
+    { id: "potency", label: "Potency / dissolution" },
+  ];
+
+  const RULES = {
+    listeria: /listeria/i,
+    salmonella: /salmonell/i,
+    e_coli: /\be\.?\s?coli\b|\bstec\b|o157/i,
+    foreign_material:
+      /foreign (?:material|object|matter|body|bodies)|(?:metal|glass|plastic|rubber|wood(?:en)?|stone|bone) (?:fragments?|pieces?|shavings?|particles?)|pieces? of (?:metal|glass|plastic|rubber|wood)/i,
+    cgmp: /\bc?gmps?\b|good manufacturing practice/i,
+    labeling:
+      /label|misbrand|wrong (?:product|strength) in (?:the )?(?:package|bottle|carton)/i,
+    sterility: /steril/i,
+    potency:
+      /potency|sub-?potent|super-?potent|dissolution|(?:failed|out of specification) (?:for )?assay/i,
+  };
+
+  // Allergens named in FDA allergen recalls: the major food allergens plus
+  // sulfites, which are also declared on labels
+  const ALLERGENS = [
+    [
+      "milk",
+      /\bmilk\b|\bdairy\b|\bwhey\b|\bcasein|\blactose\b|\bbutter\b|\bcheese\b/i,
+    ],
+    ["egg", /\beggs?\b/i],
+    ["peanut", /\bpeanuts?\b/i],
+    [
+      "tree nuts",
+      /tree nuts?|\balmonds?\b|\bwalnuts?\b|\bcashews?\b|\bpecans?\b|\bhazelnuts?\b|\bpistachios?\b|\bmacadamia|\bbrazil nuts?\b|\bpine nuts?\b|\bcoconut\b/i,
+    ],
+    ["soy", /\bsoy|\bsoya\b/i],
+    ["wheat", /\bwheat\b|\bgluten\b/i],
+    ["fish", /\bfish\b|\banchov|\bcod\b|\bsalmon\b|\btuna\b|\bpollock\b/i],
+    ["shellfish", /shellfish|\bshrimp\b|\bcrab\b|\blobster\b|\bcrustacean/i],
+    ["sesame", /\bsesame\b/i],
+    ["sulfites", /\bsulfites?\b|\bsulphites?\b/i],
+  ];
+
+  // Wording that marks an allergen recall rather than e.g. "milk chocolate
+  // contaminated with Salmonella"
+  const ALLERGEN_CONTEXT =
+    /undeclared|allergen|not (?:declared|listed|labeled|identified)|(?:absent|missing|omitted) from the label|label (?:does|did) not (?:declare|list)/i;
+
+  // Returns { categories: [id, ...], allergens: [name, ...] }
+  function categorize(reason) {
+    const text = String(reason || "");
+    const categories = [];
+    let allergens = [];
+    if (ALLERGEN_CONTEXT.test(text)) {
+      allergens = ALLERGENS.filter(([, re]) => re.test(text)).map(
+        ([name]) => name
+      );
+      if (allergens.length || /allergen/i.test(text))
+        categories.push("allergen");
+    }
+    Object.keys(RULES).forEach((id) => {
+      if (!RULES[id].test(text)) return;
+      // allergen recalls nearly always cite the label; that is not a labeling error
+      if (id === "labeling" && categories.includes("allergen")) return;
+      categories.push(id);
+    });
+    // keep the table order
+    categories.sort(
+      (a, b) =>
+        CATEGORIES.findIndex((c) => c.id === a) -
+        CATEGORIES.findIndex((c) => c.id === b)
+    );
+    return { categories, allergens };
+  }
+
+  function label(id) {
+    const c = CATEGORIES.find((cat) => cat.id === id);
+    return c ? c.label : id;
+  }
+
+  return { CATEGORIES, categorize, label };
+});
@@ -0,0 +1,52 @@
+// Escaping template tag for building HTML strings in the browser. Every value
+// interpolated into html`...` is escaped unless it is already markup made by html``
+// or marked with raw(); arrays are joined. Recall text from openFDA only ever
+// reaches innerHTML or a Leaflet popup through here.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.HazardHtml = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  function SafeHtml(value) {
+    this.value = value;
+  }
+  SafeHtml.prototype.toString = function () {
+    return this.value;
+  };
+
+  function escape(s) {
+    return String(s)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  // Trusted markup (e.g. HazardSearch.highlight output, which escapes its input)
+  function raw(value) {
+    return new SafeHtml(value === null || value === undefined ? "" : value);
+  }
+
+  function render(value) {
+    if (value === null || value === undefined || value === false) return "";
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(render).join("");
+    return escape(value);
+  }
+
+  function html(strings) {
+    let out = strings[0];
+    for (let i = 1; i < strings.length; i++)
+      out += render(arguments[i]) + strings[i];
+    return new SafeHtml(out);
+  }
+
+  // Keep a class-name fragment to safe characters ("On-Going" -> "on-going")
+  function token(value) {
+    return String(value || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]+/g, "-");
+  }
+
+  return { html, raw, escape, token };
+});
@@ -0,0 +1,211 @@
+// Full-text search over unified recall records, shared by the browser list and the
+// server's view filters. Queries are AND-ed terms, "quoted phrases" and field
+// prefixes (`firm:acme`, `reason:"undeclared milk"`). Terms match word prefixes,
+// so results narrow while typing; phrases match whole consecutive words.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.HazardSearch = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  // Searchable fields by query prefix
+  const FIELDS = {
+    product: (r) => r.product_description,
+    reason: (r) => r.reason_for_recall,
+    firm: (r) => r.recalling_firm,
+    code: (r) => r.code_info,
+    distribution: (r) => r.distribution_pattern,
+    city: (r) => r.city,
+    state: (r) => r.state,
+    // drug names and product codes (lib/productCodes.js); older cached records
+    // may lack them
+    brand: (r) => (r.brand_names || []).join(" "),
+    generic: (r) => (r.generic_names || []).join(" "),
+    manufacturer: (r) => (r.manufacturer_names || []).join(" "),
+    ndc: (r) => (r.ndc_codes || []).join(" "),
+    upc: (r) => (r.upc_codes || []).join(" "),
+  };
+  const FIELD_ALIASES = {
+    dist: "distribution",
+    lot: "code",
+    mfr: "manufacturer",
+  };
+
+  const TOKEN_RE = /[\p{L}\p{N}]+/gu;
+
+  function tokenize(text) {
+    return (
+      String(text || "")
+        .toLowerCase()
+        .match(TOKEN_RE) || []
+    );
+  }
+
+  function fieldName(prefix) {
+    const name = prefix.toLowerCase();
+    if (FIELDS[name]) return name;
+    return FIELD_ALIASES[name] || null;
+  }
+
+  // Parse a query into clauses: { field (or null for any), tokens, phrase }
+  function parseQuery(query) {
+    const clauses = [];
+    const re = /(?:([A-Za-z]+):)?(?:"([^"]*)"?|(\S+))/g;
+    let m;
+    while ((m = re.exec(String(query || "")))) {
+      const field = m[1] ? fieldName(m[1]) : null;
+      const phrase = m[2] !== undefined;
+      // an unknown prefix ("http:") is searched as ordinary text
+      const raw = m[1] && !field ? m[0] : phrase ? m[2] : m[3];
+      const tokens = tokenize(raw);
+      if (!tokens.length) continue;
+      if (phrase && tokens.length > 1) {
+        clauses.push({ field, tokens, phrase: true });
+      } else {
+        tokens.forEach((t) =>
+          clauses.push({ field, tokens: [t], phrase: false })
+        );
+      }
+    }
+    return clauses;
+  }
+
+  // Inverted index: token -> postings [{ doc, field }], plus each document's token
+  // sequences per field for phrase checks and a sorted vocabulary for prefixes
+  function buildIndex(records) {
+    const postings = new Map();
+    const docs = records.map((rec, doc) => {
+      const fields = {};
+      Object.keys(FIELDS).forEach((field) => {
+        const tokens = tokenize(FIELDS[field](rec));
+        fields[field] = tokens;
+        tokens.forEach((token) => {
+          let list = postings.get(token);
+          if (!list) postings.set(token, (list = []));
+          const last = list[list.length - 1];
+          if (!last || last.doc !== doc || last.field !== field)
+            list.push({ doc, field });
+        });
+      });
+      return fields;
+    });
+    const vocabulary = Array.from(postings.keys()).sort();
+    return { records, postings, docs, vocabulary };
+  }
+
+  // Tokens in the vocabulary that start with `prefix`
+  function expand(index, prefix) {
+    const vocab = index.vocabulary;
+    let lo = 0;
+    let hi = vocab.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (vocab[mid] < prefix) lo = mid + 1;
+      else hi = mid;
+    }
+    const out = [];
+    for (let i = lo; i < vocab.length && vocab[i].startsWith(prefix); i++)
+      out.push(vocab[i]);
+    return out;
+  }
+
+  function containsSequence(tokens, seq) {
+    for (let i = 0; i + seq.length <= tokens.length; i++) {
+      if (seq.every((t, j) => tokens[i + j] === t)) return true;
+    }
+    return false;
+  }
+
+  // Document numbers matching one clause
+  function matchClause(index, clause) {
+    const hits = new Set();
+    const words = clause.phrase
+      ? [clause.tokens[0]]
+      : expand(index, clause.tokens[0]);
+    words.forEach((word) => {
+      (index.postings.get(word) || []).forEach(({ doc, field }) => {
+        if (clause.field && clause.field !== field) return;
+        if (
+          clause.phrase &&
+          !containsSequence(index.docs[doc][field], clause.tokens)
+        )
+          return;
+        hits.add(doc);
+      });
+    });
+    return hits;
+  }
+
+  // Records matching every clause of `query`, in index order
+  function search(index, query) {
+    const clauses = parseQuery(query);
+    if (!clauses.length) return index.records.slice();
+    let docs = null;
+    for (const clause of clauses) {
+      const hits = matchClause(index, clause);
+      docs = docs ? new Set([...docs].filter((d) => hits.has(d))) : hits;
+      if (!docs.size) return [];
+    }
+    return index.records.filter((_, i) => docs.has(i));
+  }
+
+  // Indexes are reused while the same records array is searched, so callers pass
+  // their unfiltered list (e.g. every loaded recall) while the user types
+  const cache = typeof WeakMap === "function" ? new WeakMap() : null;
+
+  function indexFor(records) {
+    let index = cache && cache.get(records);
+    if (!index) {
+      index = buildIndex(records);
+      if (cache) cache.set(records, index);
+    }
+    return index;
+  }
+
+  function escapeHtml(s) {
+    return String(s)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  // HTML-escaped `text` with the words matched by `query` wrapped in <mark>.
+  // `field` limits highlighting to clauses without a prefix or with that prefix.
+  function highlight(text, query, field) {
+    if (text === null || text === undefined) return "";
+    const clauses = parseQuery(query).filter(
+      (c) => !c.field || !field || c.field === field
+    );
+    const s = String(text);
+    if (!clauses.length) return escapeHtml(s);
+    const prefixes = clauses.filter((c) => !c.phrase).map((c) => c.tokens[0]);
+    const phraseWords = new Set(
+      [].concat(...clauses.filter((c) => c.phrase).map((c) => c.tokens))
+    );
+    let out = "";
+    let last = 0;
+    s.replace(TOKEN_RE, (word, offset) => {
+      const lower = word.toLowerCase();
+      if (phraseWords.has(lower) || prefixes.some((p) => lower.startsWith(p))) {
+        out +=
+          escapeHtml(s.slice(last, offset)) +
+          "<mark>" +
+          escapeHtml(word) +
+          "</mark>";
+        last = offset + word.length;
+      }
+      return word;
+    });
+    return out + escapeHtml(s.slice(last));
+  }
+
+  return {
+    FIELDS: Object.keys(FIELDS),
+    tokenize,
+    parseQuery,
+    buildIndex,
+    search: (records, query) => search(indexFor(records), query),
+    highlight,
+    escapeHtml,
+  };
+});
@@ -0,0 +1,73 @@
+// Aggregate counts over unified recall records, shared by the server's /api/stats
+// endpoint and the browser dashboard so both report the same numbers.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports)
+    module.exports = factory(require("./firms"));
+  else root.HazardStats = factory(root.HazardFirms);
+})(typeof self !== "undefined" ? self : this, function (HazardFirms) {
+  const TOP_N = 10;
+
+  // Counts as [{ key, count }], largest first (ties by key), optionally cut to `top`
+  function tally(values, top) {
+    const counts = new Map();
+    values.forEach((v) => {
+      if (v === null || v === undefined || v === "") return;
+      counts.set(v, (counts.get(v) || 0) + 1);
+    });
+    const rows = Array.from(counts, ([key, count]) => ({ key, count })).sort(
+      (a, b) => b.count - a.count || String(a.key).localeCompare(b.key)
+    );
+    return top ? rows.slice(0, top) : rows;
+  }
+
+  // Firm names differ in case, punctuation and legal suffix between reports; count
+  // them under one key (HazardFirms.firmKey) and report the first spelling seen
+  function tallyFirms(records, top) {
+    const names = new Map();
+    const keys = records.map((r) => {
+      const key = HazardFirms.firmKey(r.recalling_firm);
+      if (!key) return null;
+      if (!names.has(key)) names.set(key, r.recalling_firm.trim());
+      return key;
+    });
+    return tally(keys, top).map((row) => ({
+      key: names.get(row.key),
+      count: row.count,
+    }));
+  }
+
+  // YYYYMMDD -> "YYYY-MM"
+  function monthKey(date) {
+    const s = String(date || "");
+    return /^\d{8}$/.test(s) ? `${s.slice(0, 4)}-${s.slice(4, 6)}` : null;
+  }
+
+  // Stats over records (event entries are expanded to their product rows).
+  // by_state is the recalling firm's state; by_month is chronological.
+  function computeStats(records, opts) {
+    const top = (opts && opts.top) || TOP_N;
+    const rows = [].concat(...records.map((r) => r.products || [r]));
+    return {
+      total: rows.length,
+      by_type: tally(rows.map((r) => r.type)),
+      by_classification: tally(rows.map((r) => r.classification || "N/A")),
+      by_state: tally(rows.map((r) => r.state)),
+      by_month: tally(rows.map((r) => monthKey(r.raw_report_date))).sort(
+        (a, b) => a.key.localeCompare(b.key)
+      ),
+      top_firms: tallyFirms(rows, top),
+      // hazard category ids (public/hazards.js); rows can have several
+      top_reasons: tally(
+        [].concat(
+          ...rows.map((r) =>
+            r.hazard_categories && r.hazard_categories.length
+              ? r.hazard_categories
+              : ["uncategorized"]
+          )
+        )
+      ),
+    };
+  }
+
+  return { TOP_N, computeStats };
+});
@@ -0,0 +1,322 @@
+// Recall timeline: a histogram of report dates per week or month, stacked by
+// classification, with a draggable range brush and a play mode that steps the
+// brushed window through time. Works on the YYYYMMDD `raw_report_date` strings.
+(function () {
+  const SVG_NS = "http://www.w3.org/2000/svg";
+  const STACK = ["Class I", "Class II", "Class III", "Other"];
+  const HEIGHT = 110;
+  const AXIS = 16; // room for the year labels
+  const PLAY_INTERVAL_MS = 600;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  function pad(n) {
+    return String(n).padStart(2, "0");
+  }
+
+  function toKey(d) {
+    return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(
+      d.getUTCDate()
+    )}`;
+  }
+
+  function fromKey(s) {
+    return new Date(
+      Date.UTC(
+        Number(s.slice(0, 4)),
+        Number(s.slice(4, 6)) - 1,
+        Number(s.slice(6, 8))
+      )
+    );
+  }
+
+  function isDateKey(s) {
+    return /^\d{8}$/.test(s || "");
+  }
+
+  // First day of the bucket holding `d`: the 1st of the month, or the week's Monday
+  function bucketStart(d, unit) {
+    if (unit === "month")
+      return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+    const sinceMonday = (d.getUTCDay() + 6) % 7;
+    return new Date(d.getTime() - sinceMonday * DAY_MS);
+  }
+
+  function nextBucket(d, unit) {
+    if (unit === "month")
+      return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1));
+    return new Date(d.getTime() + 7 * DAY_MS);
+  }
+
+  // Contiguous buckets from the earliest to the latest report date, each with its
+  // inclusive date range and counts per classification
+  function buildBuckets(records, unit) {
+    const dates = records
+      .map((r) => r.raw_report_date)
+      .filter(isDateKey)
+      .sort();
+    if (!dates.length) return [];
+    const buckets = [];
+    const byStart = new Map();
+    const last = fromKey(dates[dates.length - 1]);
+    for (let d = bucketStart(fromKey(dates[0]), unit); d <= last; ) {
+      const next = nextBucket(d, unit);
+      const bucket = {
+        from: toKey(d),
+        to: toKey(new Date(next.getTime() - DAY_MS)),
+        total: 0,
+        counts: {},
+      };
+      STACK.forEach((c) => (bucket.counts[c] = 0));
+      byStart.set(bucket.from, bucket);
+      buckets.push(bucket);
+      d = next;
+    }
+    records.forEach((r) => {
+      if (!isDateKey(r.raw_report_date)) return;
+      const start = toKey(bucketStart(fromKey(r.raw_report_date), unit));
+      const bucket = byStart.get(start);
+      const c = STACK.includes(r.classification) ? r.classification : "Other";
+      bucket.counts[c]++;
+      bucket.total++;
+    });
+    return buckets;
+  }
+
+  function formatKey(s) {
+    return `${s.slice(0, 4)}-${s.slice(4, 6)}-${s.slice(6, 8)}`;
+  }
+
+  function svgEl(name, attrs) {
+    const el = document.createElementNS(SVG_NS, name);
+    Object.keys(attrs || {}).forEach((k) => el.setAttribute(k, attrs[k]));
+    return el;
+  }
+
+  // Wire a timeline onto existing elements. `onRange(range, { playing })` is called
+  // with { from, to } (YYYYMMDD, inclusive) or null when the brush is cleared.
+  function createTimeline({
+    chart,
+    unitSelect,
+    playButton,
+    clearButton,
+    label,
+    onRange,
+  }) {
+    let unit = (unitSelect && unitSelect.value) || "month";
+    let buckets = [];
+    let range = null;
+    let playTimer = null;
+    let drag = null;
+    let lastRecords = [];
+
+    // Bucket indexes covered by the current range, or null
+    function rangeIndexes() {
+      if (!range || !buckets.length) return null;
+      const first = buckets.findIndex((b) => b.to >= range.from);
+      let last = -1;
+      buckets.forEach((b, i) => {
+        if (b.from <= range.to) last = i;
+      });
+      if (first === -1 || last === -1 || first > last) return null;
+      return [first, last];
+    }
+
+    function setRange(next, opts) {
+      range = next;
+      render();
+      if (onRange) onRange(range, opts || { playing: !!playTimer });
+    }
+
+    function rangeFor(a, b) {
+      const lo = Math.max(0, Math.min(a, b));
+      const hi = Math.min(buckets.length - 1, Math.max(a, b));
+      return { from: buckets[lo].from, to: buckets[hi].to };
+    }
+
+    function updateLabel() {
+      if (!label) return;
+      label.textContent = range
+        ? `${formatKey(range.from)} → ${formatKey(range.to)}`
+        : "All dates";
+    }
+
+    function render() {
+      updateLabel();
+      chart.textContent = "";
+      if (!buckets.length) return;
+      const width = chart.clientWidth || 600;
+      const barWidth = width / buckets.length;
+      const max = Math.max(1, ...buckets.map((b) => b.total));
+      const plot = HEIGHT - AXIS;
+      const svg = svgEl("svg", {
+        width,
+        height: HEIGHT,
+        viewBox: `0 0 ${width} ${HEIGHT}`,
+        role: "img",
+        "aria-label": "Recalls over time by classification",
+      });
+
+      buckets.forEach((b, i) => {
+        const g = svgEl("g");
+        const title = svgEl("title");
+        title.textContent =
+          `${formatKey(b.from)} – ${formatKey(b.to)}: ${b.total} recalls` +
+          STACK.filter((c) => b.counts[c])
+            .map((c) => `\n${c}: ${b.counts[c]}`)
+            .join("");
+        g.appendChild(title);
+        let y = plot;
+        STACK.forEach((c) => {
+          if (!b.counts[c]) return;
+          const h = (b.counts[c] / max) * (plot - 4);
+          y -= h;
+          g.appendChild(
+            svgEl("rect", {
+              class:
+                "bar " + (c === "Other" ? "other" : "class-" + c.split(" ")[1]),
+              x: i * barWidth + 0.5,
+              y,
+              width: Math.max(1, barWidth - 1),
+              height: h,
+            })
+          );
+        });
+        // hit area so empty buckets still show their tooltip
+        g.appendChild(
+          svgEl("rect", {
+            class: "hit",
+            x: i * barWidth,
+            y: 0,
+            width: barWidth,
+            height: plot,
+          })
+        );
+        svg.appendChild(g);
+
+        if (i === 0 || b.from.slice(0, 4) !== buckets[i - 1].from.slice(0, 4)) {
+          const text = svgEl("text", {
+            class: "axis",
+            x: i * barWidth + 2,
+            y: HEIGHT - 4,
+          });
+          text.textContent = b.from.slice(0, 4);
+          svg.appendChild(text);
+        }
+      });
+
+      const span = drag ? [drag.start, drag.end] : rangeIndexes();
+      if (span) {
+        const lo = Math.min(span[0], span[1]);
+        const hi = Math.max(span[0], span[1]);
+        svg.appendChild(
+          svgEl("rect", {
+            class: "brush",
+            x: lo * barWidth,
+            y: 0,
+            width: (hi - lo + 1) * barWidth,
+            height: plot,
+          })
+        );
+      }
+      chart.appendChild(svg);
+    }
+
+    function indexAt(evt) {
+      const rect = chart.getBoundingClientRect();
+      const x = Math.min(Math.max(evt.clientX - rect.left, 0), rect.width - 1);
+      return Math.floor((x / rect.width) * buckets.length);
+    }
+
+    // Dragging previews the brush; the range is applied on release. A click
+    // without dragging selects that single bucket.
+    chart.addEventListener("pointerdown", (evt) => {
+      if (!buckets.length) return;
+      stop();
+      const i = indexAt(evt);
+      drag = { start: i, end: i };
+      chart.setPointerCapture(evt.pointerId);
+      render();
+    });
+    chart.addEventListener("pointermove", (evt) => {
+      if (!drag) return;
+      const i = indexAt(evt);
+      if (i === drag.end) return;
+      drag.end = i;
+      render();
+    });
+    const endDrag = () => {
+      if (!drag) return;
+      const { start, end } = drag;
+      drag = null;
+      setRange(rangeFor(start, end));
+    };
+    chart.addEventListener("pointerup", endDrag);
+    chart.addEventListener("pointercancel", endDrag);
+
+    function stop() {
+      if (!playTimer) return;
+      clearInterval(playTimer);
+      playTimer = null;
+      if (playButton) playButton.textContent = "Play";
+    }
+
+    // Step a window the width of the brush (one bucket when nothing is brushed)
+    // from the first bucket to the last
+    function play() {
+      if (playTimer) return stop();
+      if (!buckets.length) return;
+      const span = rangeIndexes();
+      const size = span ? span[1] - span[0] + 1 : 1;
+      let start = 0;
+      if (playButton) playButton.textContent = "Pause";
+      playTimer = setInterval(() => {
+        start++;
+        if (start + size > buckets.length) {
+          stop();
+          return;
+        }
+        setRange(rangeFor(start, start + size - 1), { playing: true });
+      }, PLAY_INTERVAL_MS);
+      setRange(rangeFor(0, size - 1), { playing: true });
+    }
+
+    if (playButton) playButton.addEventListener("click", play);
+    if (clearButton)
+      clearButton.addEventListener("click", () => {
+        stop();
+        setRange(null);
+      });
+    if (unitSelect)
+      unitSelect.addEventListener("change", () => {
+        stop();
+        unit = unitSelect.value;
+        // the range stays in dates, so only the bucket drawing changes
+        update(lastRecords);
+      });
+    window.addEventListener("resize", () => render());
+
+    function update(records) {
+      lastRecords = records;
+      buckets = buildBuckets(records, unit);
+      render();
+    }
+
+    return {
+      update,
+      getRange: () => range,
+      clear: () => {
+        stop();
+        setRange(null);
+      },
+      // set the range without calling onRange (restoring saved state)
+      restore: (next) => {
+        stop();
+        range = next;
+        render();
+      },
+      isPlaying: () => !!playTimer,
+    };
+  }
+
+  window.HazardTimeline = { createTimeline, buildBuckets };
+})();
@@ -0,0 +1,165 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { normalize } = require("../lib/normalize");
+const {
+  parseWatchlist,
+  matchRecords,
+  createWatchlistStore,
+} = require("../lib/watchlists");
+const { createAlertJob } = require("../lib/alerts");
+const { recall } = require("./fixtures/upstream");
+const { createSmtp } = require("./fixtures/smtp");
+
+const listeria = normalize(
+  recall({
+    recall_number: "F-1",
+    recalling_firm: "Fresh Greens LLC",
+    reason_for_recall: "Potential Listeria monocytogenes contamination.",
+    state: "CA",
+    distribution_pattern: "CA, OR and WA",
+    classification: "Class I",
+  }),
+  "Food"
+);
+const milk = normalize(
+  recall({ recall_number: "F-2", reason_for_recall: "Undeclared milk." }),
+  "Food"
+);
+
+test("parseWatchlist normalizes criteria and reports every bad field", () => {
+  const { watchlist } = parseWatchlist({
+    name: "  West coast  ",
+    criteria: {
+      states: "ca, or,CA",
+      types: ["food"],
+      classifications: "class i",
+      firm: " greens ",
+    },
+    emails: "a@example.com, b@example.com",
+  });
+  assert.deepEqual(watchlist, {
+    name: "West coast",
+    criteria: {
+      firm: "greens",
+      states: ["CA", "OR"],
+      types: ["Food"],
+      classifications: ["Class I"],
+    },
+    webhook_url: null,
+    emails: ["a@example.com", "b@example.com"],
+  });
+
+  const { errors } = parseWatchlist({
+    name: "",
+    criteria: { states: "ZZ", hazards: "nope" },
+    webhook_url: "ftp://example.com",
+    emails: "not-an-email",
+  });
+  assert.deepEqual(errors.map((e) => e.param).sort(), [
+    "criteria.hazards",
+    "criteria.states",
+    "emails",
+    "name",
+    "webhook_url",
+  ]);
+
+  const hook = (url, hosts) =>
+    parseWatchlist(
+      { name: "Hook", criteria: { types: "food" }, webhook_url: url },
+      hosts
+    );
+  assert.equal(
+    hook("https://hooks.example.com/recalls", ["hooks.example.com"]).watchlist
+      .webhook_url,
+    "https://hooks.example.com/recalls"
+  );
+  assert.equal(
+    hook("http://169.254.169.254/latest", ["hooks.example.com"]).errors[0]
+      .param,
+    "webhook_url"
+  );
+  assert.match(
+    hook("https://hooks.example.com/recalls").errors[0].message,
+    /disabled/
+  );
+
+  const empty = parseWatchlist({ name: "Nothing", criteria: {} });
+  assert.equal(empty.errors[0].param, "criteria");
+  assert.equal(parseWatchlist([]).errors[0].param, "body");
+});
+
+test("matchRecords ANDs the criteria and matches distribution states", () => {
+  const ids = (criteria) =>
+    matchRecords({ criteria }, [listeria, milk]).map((r) => r.recall_number);
+  assert.deepEqual(ids({ states: ["WA"] }), ["F-1"]);
+  assert.deepEqual(ids({ states: ["OH"] }), ["F-2"]);
+  assert.deepEqual(ids({ firm: "GREENS" }), ["F-1"]);
+  assert.deepEqual(ids({ keywords: "listeria" }), ["F-1"]);
+  assert.deepEqual(ids({ hazards: ["allergen"] }), ["F-2"]);
+  assert.deepEqual(ids({ states: ["CA"], classifications: ["Class II"] }), []);
+  assert.deepEqual(ids({ types: ["Food"] }), ["F-1", "F-2"]);
+});
+
+test("a failed channel is retried on the next run, and only that one", async () => {
+  const replies = { RCPT: "550 Mailbox unavailable" };
+  const smtp = createSmtp(replies);
+  await smtp.listen();
+  const posts = [];
+  const hook = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      posts.push(JSON.parse(body));
+      res.end();
+    });
+  });
+  await new Promise((resolve) => hook.listen(0, "127.0.0.1", resolve));
+  try {
+    const store = createWatchlistStore();
+    const watchlist = store.create({
+      name: "Listeria",
+      criteria: { keywords: "listeria" },
+      webhook_url: null,
+      emails: ["qa@example.com"],
+    });
+    let records = [milk];
+    const job = createAlertJob({
+      store,
+      loadRecent: async () => records,
+      webhookUrl: `http://127.0.0.1:${hook.address().port}/recalls`,
+      smtp: { host: "127.0.0.1", port: smtp.port, from: "alerts@example.com" },
+    });
+
+    assert.equal((await job.run()).primed, true);
+
+    records = [listeria, milk];
+    const failed = await job.run();
+    assert.equal(failed.new, 1);
+    assert.equal(failed.alerts[0].count, 1);
+    assert.match(failed.alerts[0].errors[0], /^email: SMTP RCPT TO/);
+    assert.match(store.get(watchlist.id).last_error, /550/);
+    assert.equal(smtp.messages.length, 0);
+    assert.equal(posts.length, 1);
+    assert.equal(posts[0].recalls[0].recall_number, "F-1");
+
+    delete replies.RCPT;
+    const retried = await job.run();
+    assert.equal(retried.new, 0);
+    assert.equal(retried.alerts[0].count, 1);
+    assert.equal(retried.alerts[0].errors, undefined);
+    assert.equal(store.get(watchlist.id).last_error, null);
+    assert.equal(smtp.messages.length, 1);
+    assert.match(smtp.messages[0], /Fresh Greens LLC/);
+    // the webhook already had it
+    assert.equal(posts.length, 1);
+
+    // delivered once; not sent again
+    assert.deepEqual((await job.run()).alerts, []);
+    assert.equal(smtp.messages.length, 1);
+    assert.equal(posts.length, 1);
+  } finally {
+    await smtp.close();
+    await new Promise((resolve) => hook.close(resolve));
+  }
+});
@@ -0,0 +1,200 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const HazardFirms = require("../public/firms");
+const HazardStats = require("../public/stats");
+const { normalize } = require("../lib/normalize");
+const { recall } = require("./fixtures/upstream");
+const { useTestApps } = require("./fixtures/app");
+
+const { firmKey, firmSearchWord, sameFirm, firmProfile } = HazardFirms;
+
+const { upstream, newApp } = useTestApps();
+
+function acmeRows() {
+  return [
+    recall({
+      recall_number: "F-1",
+      recalling_firm: "Acme Foods, Inc.",
+      report_date: "20230310",
+      classification: "Class I",
+    }),
+    recall({
+      recall_number: "F-2",
+      recalling_firm: "ACME FOODS INC",
+      report_date: "20240105",
+      classification: "Class II",
+    }),
+    recall({
+      recall_number: "F-3",
+      recalling_firm: "Acme Food Inc",
+      report_date: "20240220",
+      classification: "Class II",
+      address_1: "9 Mill Rd",
+      city: "Dayton",
+    }),
+    recall({
+      recall_number: "F-4",
+      recalling_firm: "Acme Tools LLC",
+      report_date: "20240301",
+    }),
+  ];
+}
+
+test("firmKey drops case, punctuation and legal suffixes", () => {
+  assert.equal(firmKey("Acme Foods, Inc."), "acme foods");
+  assert.equal(firmKey("ACME FOODS INC"), "acme foods");
+  assert.equal(firmKey("The Acme Foods Co., Incorporated"), "acme foods");
+  assert.equal(firmKey("Smith & Sons L.L.C."), "smith and sons");
+  assert.equal(firmKey("Inc."), "inc");
+  assert.equal(firmKey("..."), "");
+  assert.equal(firmKey(null), "");
+});
+
+test("firmSearchWord picks a word openFDA indexes as written", () => {
+  assert.equal(firmSearchWord("The Acme Foods Co., Inc."), "acme");
+  assert.equal(firmSearchWord("Ben & Jerry's Homemade"), "ben");
+  assert.equal(firmSearchWord("O'Brien Foods"), "foods");
+  assert.equal(firmSearchWord("3M Company"), "3m");
+  assert.equal(firmSearchWord("D'Arcy's"), "d'arcy's");
+});
+
+test("sameFirm allows one edit only for longer names", () => {
+  assert.ok(sameFirm("acme foods", "acme food"));
+  assert.ok(!sameFirm("acme foods", "acme tools llc"));
+  assert.ok(!sameFirm("abc", "abd"));
+  assert.ok(!sameFirm("", ""));
+});
+
+test("firmProfile merges spelling variants and counts by year and class", () => {
+  const records = acmeRows().map((r) => normalize(r, "Food"));
+  const profile = firmProfile(records, "acme foods inc.");
+  assert.equal(profile.total, 3);
+  assert.equal(profile.key, "acme foods");
+  assert.deepEqual(
+    profile.recalls.map((r) => r.recall_number),
+    ["F-3", "F-2", "F-1"]
+  );
+  assert.equal(profile.variants.length, 3);
+  assert.deepEqual(profile.by_classification, [
+    { key: "Class II", count: 2 },
+    { key: "Class I", count: 1 },
+  ]);
+  assert.deepEqual(profile.by_year, [
+    { key: "2023", count: 1, by_class: { "Class I": 1 } },
+    { key: "2024", count: 2, by_class: { "Class II": 2 } },
+  ]);
+  assert.equal(profile.first_report_date, "2023-03-10T00:00:00.000Z");
+  assert.equal(profile.last_report_date, "2024-02-20T00:00:00.000Z");
+  assert.deepEqual(
+    profile.locations.map((l) => [l.city, l.count]),
+    [
+      ["Columbus", 2],
+      ["Dayton", 1],
+    ]
+  );
+  assert.equal(firmProfile(records, "Nobody Ltd"), null);
+});
+
+test("the stats top-firms tally merges the same spellings", () => {
+  const records = acmeRows()
+    .slice(0, 2)
+    .map((r) => normalize(r, "Food"));
+  assert.deepEqual(HazardStats.computeStats(records).top_firms, [
+    { key: "Acme Foods, Inc.", count: 2 },
+  ]);
+});
+
+test("GET /api/firms/:name returns the firm profile", async () => {
+  upstream.data.food.push(...acmeRows());
+  const { app } = newApp();
+  const res = await request(app)
+    .get("/api/firms/" + encodeURIComponent("Acme Foods, Inc."))
+    .expect(200);
+  assert.equal(res.body.name, "Acme Food Inc");
+  assert.equal(res.body.total, 3);
+  assert.equal(res.body.locations.length, 2);
+  assert.equal(res.body.cached, false);
+
+  const search = upstream.requests.find((r) => r.key === "food").url
+    .searchParams;
+  assert.match(search.get("search"), /recalling_firm:"acme"/);
+});
+
+test("GET /api/firms/:name finds spellings openFDA would not match as a phrase", async () => {
+  upstream.data.food.push(
+    recall({ recall_number: "F-1", recalling_firm: "Ben & Jerry's Homemade" }),
+    recall({
+      recall_number: "F-2",
+      recalling_firm: "Ben and Jerrys Homemade, Inc.",
+    }),
+    recall({ recall_number: "F-3", recalling_firm: "Ben's Bakery" }),
+    recall({ recall_number: "F-4", recalling_firm: "O'Brien Foods LLC" }),
+    recall({ recall_number: "F-5", recalling_firm: "OBrien Foods" })
+  );
+  const { app } = newApp();
+
+  const ben = await request(app)
+    .get("/api/firms/" + encodeURIComponent("BEN & JERRY'S HOMEMADE INC"))
+    .expect(200);
+  assert.deepEqual(ben.body.recalls.map((r) => r.recall_number).sort(), [
+    "F-1",
+    "F-2",
+  ]);
+  assert.equal(ben.body.variants.length, 2);
+
+  const obrien = await request(app)
+    .get("/api/firms/" + encodeURIComponent("O'Brien Foods"))
+    .expect(200);
+  assert.deepEqual(obrien.body.recalls.map((r) => r.recall_number).sort(), [
+    "F-4",
+    "F-5",
+  ]);
+});
+
+test("GET /api/firms/:name is not a 404 when the firm may be past the limit", async () => {
+  upstream.data.food.push(
+    recall({
+      recall_number: "F-1",
+      recalling_firm: "Acme Foods Inc",
+      report_date: "20240301",
+    }),
+    recall({
+      recall_number: "F-2",
+      recalling_firm: "Acme Foods Inc",
+      report_date: "20240201",
+    }),
+    recall({
+      recall_number: "F-3",
+      recalling_firm: "Acme Widgets LLC",
+      report_date: "20240101",
+    })
+  );
+  const { app } = newApp();
+  const url = "/api/firms/" + encodeURIComponent("Acme Widgets LLC");
+
+  const partial = await request(app)
+    .get(url)
+    .query({ limit: "2", type: "food" })
+    .expect(200);
+  assert.equal(partial.body.truncated, true);
+  assert.equal(partial.body.total, 0);
+  assert.deepEqual(partial.body.recalls, []);
+
+  // without a limit, as many rows as allowed are searched
+  const full = await request(app).get(url).query({ type: "food" }).expect(200);
+  assert.equal(full.body.truncated, undefined);
+  assert.deepEqual(
+    full.body.recalls.map((r) => r.recall_number),
+    ["F-3"]
+  );
+});
+
+test("GET /api/firms/:name answers 404 for unknown firms and 400 for bad names", async () => {
+  const { app } = newApp();
+  const missing = await request(app).get("/api/firms/Nobody").expect(404);
+  assert.equal(missing.body.error, "Firm not found");
+
+  const bad = await request(app).get("/api/firms/%2E%2E%2E").expect(400);
+  assert.equal(bad.body.details[0].param, "name");
+});
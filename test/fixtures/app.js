@@ -0,0 +1,53 @@
+const test = require("node:test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createApp } = require("../../lib/app");
+const { createUpstream } = require("./upstream");
+
+// An app wired to the upstream stand-in, with its data files in a fresh temp dir,
+// no background schedules and short upstream timeouts and backoff. `env` adds or
+// overrides variables.
+function createTestApp(upstream, env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hazard-atlas-test-"));
+  const instance = createApp({
+    DATA_DIR: dir,
+    OPENFDA_BASE_URL: upstream.url,
+    OPENFDA_TIMEOUT_MS: "300",
+    OPENFDA_RETRY_BASE_MS: "10",
+    NOMINATIM_BASE_URL: upstream.url,
+    NOMINATIM_INTERVAL_MS: "1",
+    GEOCODER_FALLBACK: "none",
+    RECALL_REFRESH_MINUTES: "0",
+    ALERT_INTERVAL_MINUTES: "0",
+    ...env,
+  });
+  instance.dir = dir;
+  instance.cleanup = () => fs.rmSync(dir, { recursive: true, force: true });
+  return instance;
+}
+
+// Suite setup for a test file: an upstream stand-in listening for the file's tests
+// and reset before each one, and newApp(env) creating apps against it that are
+// cleaned up when the file is done. newApp returns the createTestApp() instance.
+function useTestApps() {
+  const upstream = createUpstream();
+  const apps = [];
+
+  test.before(() => upstream.listen());
+  test.after(async () => {
+    apps.forEach((a) => a.cleanup());
+    await upstream.close();
+  });
+  test.beforeEach(() => upstream.reset());
+
+  function newApp(env) {
+    const instance = createTestApp(upstream, env);
+    apps.push(instance);
+    return instance;
+  }
+
+  return { upstream, newApp };
+}
+
+module.exports = { createTestApp, useTestApps };
@@ -0,0 +1,60 @@
+const net = require("net");
+
+// Minimal SMTP server for sendMail(): answers each command with a fixed reply and
+// records the message bodies it accepts. `replies` overrides the reply per command
+// ("RCPT", "DATA", ...), e.g. { RCPT: "251 User not local; will forward" }.
+function createSmtp(replies = {}) {
+  const messages = [];
+  const defaults = {
+    EHLO: "250 localhost",
+    MAIL: "250 OK",
+    RCPT: "250 OK",
+    DATA: "354 End data with <CR><LF>.<CR><LF>",
+    QUIT: "221 Bye",
+  };
+  const reply = (verb) => replies[verb] || defaults[verb] || "500 Unknown";
+
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let inData = false;
+    socket.write("220 localhost ESMTP test\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      if (inData) {
+        const end = buffer.indexOf("\r\n.\r\n");
+        if (end === -1) return;
+        messages.push(buffer.slice(0, end));
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write("250 Queued\r\n");
+      }
+      let nl;
+      while (!inData && (nl = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, nl);
+        buffer = buffer.slice(nl + 2);
+        const verb = line.split(/[\s:]/)[0].toUpperCase();
+        const answer = reply(verb);
+        socket.write(answer + "\r\n");
+        if (verb === "DATA" && answer.startsWith("354")) inData = true;
+      }
+    });
+    socket.on("error", () => {});
+  });
+
+  return {
+    messages,
+    listen() {
+      return new Promise((resolve) =>
+        server.listen(0, "127.0.0.1", () => {
+          this.port = server.address().port;
+          resolve();
+        })
+      );
+    },
+    close() {
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+module.exports = { createSmtp };
@@ -0,0 +1,212 @@
+const http = require("http");
+
+// Local stand-in for openFDA's enforcement endpoints and Nominatim's /search,
+// listening on an ephemeral port. openFDA rows are filtered by `search=` (see
+// matchesSearch), sorted newest first and paged with limit/skip (skip above 25000
+// is refused like upstream). Faults are queued per endpoint with fail().
+
+const MAX_SKIP = 25000;
+
+// Split `text` on `sep` where it is outside quotes, brackets and parentheses
+function splitTopLevel(text, sep) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') quoted = !quoted;
+    else if (quoted) continue;
+    else if (ch === "(" || ch === "[") depth++;
+    else if (ch === ")" || ch === "]") depth--;
+    else if (depth === 0 && text.startsWith(sep, i)) {
+      parts.push(text.slice(start, i));
+      start = i + sep.length;
+      i += sep.length - 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map((p) => p.trim()).filter(Boolean);
+}
+
+// Lower-cased words the way openFDA's analyzer splits text: "&", "-", "," and
+// spaces separate words, an apostrophe inside one does not ("Jerry's")
+function words(text) {
+  return (
+    String(text)
+      .toLowerCase()
+      .match(/[a-z0-9]+(?:'[a-z0-9]+)*/g) || []
+  );
+}
+
+// Values of a dotted field ("openfda.package_ndc"), flattened
+function fieldValues(row, field) {
+  const val = field.split(".").reduce((v, k) => (v ? v[k] : undefined), row);
+  if (val === undefined || val === null) return [];
+  return Array.isArray(val) ? val : [val];
+}
+
+// One `field:"phrase"`, `field:word` or `field:[from TO to]` term
+function matchesTerm(row, term) {
+  const m = /^([\w.]+):(.*)$/.exec(term);
+  if (!m) throw new Error(`Unsupported search term: ${term}`);
+  const values = fieldValues(row, m[1]);
+  const range = /^\[(\S+) TO (\S+)\]$/.exec(m[2]);
+  if (range)
+    return values.some((v) => String(v) >= range[1] && String(v) <= range[2]);
+  const wanted = words(m[2].replace(/^"|"$/g, ""));
+  return values.some((v) => {
+    const have = words(v);
+    for (let i = 0; i + wanted.length <= have.length; i++)
+      if (wanted.every((w, j) => have[i + j] === w)) return true;
+    return false;
+  });
+}
+
+// The subset of openFDA's query syntax lib/recallQuery.js emits: clauses joined
+// by AND, each a term or a parenthesized group of terms of which any may match
+function matchesSearch(row, search) {
+  return splitTopLevel(search, " AND ").every((clause) => {
+    const group = /^\((.*)\)$/.exec(clause);
+    const terms = group ? splitTopLevel(group[1], " ") : [clause];
+    return terms.some((term) => matchesTerm(row, term));
+  });
+}
+
+// A small enforcement row; `overrides` replace any field
+function recall(overrides = {}) {
+  return {
+    recall_number: "F-0001-2024",
+    event_id: "90001",
+    status: "Ongoing",
+    classification: "Class II",
+    report_date: "20240115",
+    recall_initiation_date: "20231220",
+    product_description: "Test product",
+    recalling_firm: "Test Foods Inc.",
+    reason_for_recall: "Undeclared milk.",
+    product_quantity: "100 cases",
+    code_info: "Lot 1",
+    address_1: "1 Main St",
+    city: "Columbus",
+    state: "OH",
+    postal_code: "43215",
+    country: "United States",
+    distribution_pattern: "OH, PA and NY",
+    ...overrides,
+  };
+}
+
+function createUpstream() {
+  // endpoint ("food", "drug", "device") -> rows
+  const data = { food: [], drug: [], device: [] };
+  // endpoint (or "nominatim") -> queued faults
+  const faults = {};
+  // address -> { lat, lon, addresstype }
+  const places = new Map();
+  const requests = [];
+
+  function send(res, status, body, headers = {}) {
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(typeof body === "string" ? body : JSON.stringify(body));
+  }
+
+  // Returns true when a queued fault answered (or swallowed) the request
+  function applyFault(key, res) {
+    const queue = faults[key];
+    if (!queue || !queue.length) return false;
+    const fault = queue.shift();
+    if (fault.kind === "timeout") return true; // never answer
+    if (fault.kind === "malformed") {
+      send(res, 200, '{"meta": {"results": ');
+      return true;
+    }
+    const headers = {};
+    if (fault.retryAfter !== undefined)
+      headers["Retry-After"] = String(fault.retryAfter);
+    send(
+      res,
+      fault.status,
+      { error: { code: "FAULT", message: `Injected ${fault.status}` } },
+      headers
+    );
+    return true;
+  }
+
+  function openFda(endpoint, url, res) {
+    const search = url.searchParams.get("search") || "";
+    const limit = Number(url.searchParams.get("limit") || 1);
+    const skip = Number(url.searchParams.get("skip") || 0);
+    if (skip > MAX_SKIP) {
+      return send(res, 400, {
+        error: {
+          code: "BAD_REQUEST",
+          message: "Skip value must be 25000 or less.",
+        },
+      });
+    }
+    const rows = data[endpoint]
+      .filter((r) => !search || matchesSearch(r, search))
+      .sort((a, b) => b.report_date.localeCompare(a.report_date));
+    if (!rows.length) {
+      return send(res, 404, {
+        error: { code: "NOT_FOUND", message: "No matches found!" },
+      });
+    }
+    send(res, 200, {
+      meta: { results: { skip, limit, total: rows.length } },
+      results: rows.slice(skip, skip + limit),
+    });
+  }
+
+  function nominatim(url, res) {
+    const hit = places.get(url.searchParams.get("q"));
+    send(
+      res,
+      200,
+      hit ? [{ ...hit, lat: String(hit.lat), lon: String(hit.lon) }] : []
+    );
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const m = /^\/(food|drug|device)\/enforcement\.json$/.exec(url.pathname);
+    const key = m ? m[1] : url.pathname === "/search" ? "nominatim" : null;
+    requests.push({ key, url, headers: req.headers });
+    if (!key) return send(res, 404, { error: "unknown path" });
+    if (applyFault(key, res)) return;
+    if (m) return openFda(m[1], url, res);
+    return nominatim(url, res);
+  });
+
+  return {
+    data,
+    places,
+    requests,
+    // Queue `count` faults for an endpoint: { status, retryAfter } or
+    // { kind: "timeout" | "malformed" }
+    fail(key, fault, count = 1) {
+      faults[key] = (faults[key] || []).concat(Array(count).fill(fault));
+    },
+    reset() {
+      Object.keys(data).forEach((k) => (data[k] = []));
+      Object.keys(faults).forEach((k) => delete faults[k]);
+      places.clear();
+      requests.length = 0;
+    },
+    listen() {
+      return new Promise((resolve) =>
+        server.listen(0, "127.0.0.1", () => {
+          this.url = `http://127.0.0.1:${server.address().port}`;
+          resolve(this.url);
+        })
+      );
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = { createUpstream, recall };
@@ -0,0 +1,272 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const HazardGeo = require("../public/geo");
+const HazardFilters = require("../public/filters");
+const { createGeocoder } = require("../lib/geocoder");
+const { recall } = require("./fixtures/upstream");
+const { useTestApps } = require("./fixtures/app");
+
+const { parseRegion, inRegion, formatShape, distanceMiles } = HazardGeo;
+
+const { upstream, newApp } = useTestApps();
+
+const COLUMBUS = { lat: 39.96, lon: -83 };
+const DENVER = { lat: 39.74, lon: -104.99 };
+
+// Two geocodable firms (Columbus and Denver) and one whose address is unknown
+function seed() {
+  upstream.data.food.push(
+    recall({ recall_number: "F-1", report_date: "20240110" }),
+    recall({
+      recall_number: "F-2",
+      report_date: "20240108",
+      address_1: "2 Elm St",
+      city: "Denver",
+      state: "CO",
+    }),
+    recall({
+      recall_number: "F-3",
+      report_date: "20240105",
+      address_1: "3 Lost Ln",
+      city: "Nowhere",
+      state: "KS",
+    })
+  );
+  upstream.places.set("1 Main St, Columbus, OH, United States", {
+    ...COLUMBUS,
+    addresstype: "building",
+  });
+  upstream.places.set("2 Elm St, Denver, CO, United States", {
+    ...DENVER,
+    addresstype: "building",
+  });
+}
+
+// An app whose geocode cache already holds the seeded addresses
+async function geocodedApp() {
+  const instance = newApp();
+  for (const q of [
+    "1 Main St, Columbus, OH, United States",
+    "2 Elm St, Denver, CO, United States",
+    "3 Lost Ln, Nowhere, KS, United States",
+  ])
+    await request(instance.app).get("/api/geocode").query({ q }).expect(200);
+  return instance.app;
+}
+
+test("parseRegion reads bbox, near and polygon text", () => {
+  assert.deepEqual(
+    parseRegion({
+      bbox: "-85,38,-80,42",
+      near: "39.96,-83,25",
+      polygon: "38,-85; 42,-85; 42,-80",
+    }).shapes,
+    [
+      { kind: "bbox", west: -85, south: 38, east: -80, north: 42 },
+      { kind: "near", lat: 39.96, lon: -83, miles: 25 },
+      {
+        kind: "polygon",
+        points: [
+          [38, -85],
+          [42, -85],
+          [42, -80],
+        ],
+      },
+    ]
+  );
+  assert.deepEqual(parseRegion({ bbox: "", other: "x" }), {
+    shapes: [],
+    errors: [],
+  });
+
+  const { errors } = parseRegion({
+    bbox: "-80,38,-85,42",
+    near: "39,-83,0",
+    polygon: "38,-85;42,-85",
+  });
+  assert.deepEqual(
+    errors.map((e) => e.key),
+    ["bbox", "near", "polygon"]
+  );
+  assert.equal(parseRegion({ bbox: "a,b,c,d" }).errors.length, 1);
+  assert.equal(parseRegion({ near: "95,-83,10" }).errors.length, 1);
+});
+
+test("inRegion tests points against every shape", () => {
+  const { shapes } = parseRegion({ near: "39.96,-83,25" });
+  assert.ok(inRegion(shapes, COLUMBUS));
+  assert.ok(!inRegion(shapes, DENVER));
+  assert.ok(!inRegion(shapes, null));
+  assert.ok(!inRegion(shapes, { lat: null, lon: null }));
+
+  const triangle = parseRegion({ polygon: "38,-85;42,-85;42,-80" }).shapes;
+  assert.ok(inRegion(triangle, { lat: 41, lon: -84 }));
+  assert.ok(!inRegion(triangle, { lat: 39, lon: -81 }));
+
+  const both = parseRegion({ bbox: "-110,35,-80,45", near: "39.7,-105,50" });
+  assert.ok(inRegion(both.shapes, DENVER));
+  assert.ok(!inRegion(both.shapes, COLUMBUS));
+
+  assert.ok(Math.abs(distanceMiles(COLUMBUS, DENVER) - 1164) < 5);
+  assert.equal(
+    formatShape({ kind: "near", lat: 39.9612345, lon: -83, miles: 2.499 }),
+    "39.96123,-83,2.5"
+  );
+});
+
+test("applyView keeps only records positioned inside the region", () => {
+  const records = [
+    { id: "a", report_date: "2024-01-02T00:00:00.000Z", ...COLUMBUS },
+    { id: "b", report_date: "2024-01-01T00:00:00.000Z", ...DENVER },
+    { id: "c", report_date: "2024-01-03T00:00:00.000Z" },
+  ];
+  const view = { bbox: "-90,35,-80,45", limit: "all" };
+  assert.deepEqual(
+    HazardFilters.applyView(records, view).items.map((r) => r.id),
+    ["a"]
+  );
+  const elsewhere = () => DENVER;
+  assert.deepEqual(HazardFilters.applyView(records, view, elsewhere).items, []);
+});
+
+test("GET /api/recalls filters by near and bbox on geocoded coordinates", async () => {
+  seed();
+  const app = await geocodedApp();
+
+  const near = await request(app)
+    .get("/api/recalls")
+    .query({ near: "39.96,-83,25" })
+    .expect(200);
+  assert.deepEqual(
+    near.body.results.map((r) => r.recall_number),
+    ["F-1"]
+  );
+  assert.equal(near.body.ungeocoded, 1);
+
+  const bbox = await request(app)
+    .get("/api/recalls")
+    .query({ bbox: "-110,35,-80,45" })
+    .expect(200);
+  assert.deepEqual(
+    bbox.body.results.map((r) => r.recall_number),
+    ["F-1", "F-2"]
+  );
+
+  const all = await request(app).get("/api/recalls").expect(200);
+  assert.equal(all.body.results.length, 3);
+  assert.equal(all.body.ungeocoded, undefined);
+});
+
+test("GET /api/recalls rejects malformed regions", async () => {
+  const app = await geocodedApp();
+  const res = await request(app)
+    .get("/api/recalls")
+    .query({ bbox: "-80,38,-85,42", near: "1,2" })
+    .expect(400);
+  assert.deepEqual(
+    res.body.details.map((d) => d.param),
+    ["bbox", "near"]
+  );
+});
+
+test("exports apply a view[near] region", async () => {
+  seed();
+  const app = await geocodedApp();
+  const res = await request(app)
+    .get("/api/recalls/export")
+    .query({ format: "geojson", "view[near]": "39.74,-104.99,10" })
+    .expect(200);
+  assert.deepEqual(
+    JSON.parse(res.text).features.map((f) => f.properties.recall_number),
+    ["F-2"]
+  );
+
+  await request(app)
+    .get("/api/recalls/export")
+    .query({ format: "geojson", "view[polygon]": "1,2;3,4" })
+    .expect(400);
+});
+
+test("geocoder bounds its queue and cache and expires misses", async () => {
+  const lookups = [];
+  let release;
+  const blocked = new Promise((r) => (release = r));
+  const geocoder = createGeocoder({
+    maxQueue: 1,
+    maxEntries: 2,
+    missTtlMs: 1000,
+    provider: {
+      name: "test",
+      async geocode(q) {
+        lookups.push(q);
+        if (q === "slow") await blocked;
+        return q === "nowhere" ? null : { lat: 1, lon: 2 };
+      },
+    },
+  });
+
+  // "slow" is with the provider, "a" waits in the queue, "b" does not fit
+  const slow = geocoder.geocode("slow");
+  const a = geocoder.geocode("a");
+  await assert.rejects(geocoder.geocode("b"), { code: "GEOCODE_QUEUE_FULL" });
+  release();
+  await Promise.all([slow, a]);
+
+  // only the two most recent answers are kept
+  assert.equal(await geocoder.geocode("nowhere"), null);
+  assert.equal(geocoder.peek("slow"), undefined);
+  assert.deepEqual(geocoder.peek("a"), { lat: 1, lon: 2, precision: "street" });
+  assert.equal(geocoder.peek("nowhere"), null);
+
+  // a miss is looked up again once it is older than missTtlMs
+  const realNow = Date.now;
+  Date.now = () => realNow() + 5000;
+  try {
+    assert.equal(geocoder.peek("nowhere"), undefined);
+  } finally {
+    Date.now = realNow;
+  }
+  assert.deepEqual(lookups, ["slow", "a", "nowhere"]);
+});
+
+test("geocoders sharing a cache file keep each other's lookups", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hazard-atlas-geo-"));
+  try {
+    const file = path.join(dir, "geocache.json");
+    const provider = {
+      name: "test",
+      geocode: async (q) => ({ lat: q.length, lon: 0 }),
+    };
+    const web1 = createGeocoder({ file, provider });
+    const web2 = createGeocoder({ file, provider });
+    web1.load();
+    web2.load();
+    await web1.geocode("1 Main St");
+    await web2.geocode("2 Elm St");
+    await web1.save();
+    await web2.save();
+
+    const restarted = createGeocoder({ file, provider });
+    restarted.load();
+    assert.equal(restarted.peek("1 Main St").lat, 9);
+    assert.equal(restarted.peek("2 Elm St").lat, 8);
+    // web-02's save brought web-01's lookup into its own cache too
+    assert.equal(web2.peek("1 Main St").lat, 9);
+    assert.deepEqual(fs.readdirSync(dir), ["geocache.json"]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("GET /api/geocode rejects overlong queries", async () => {
+  const { app } = newApp();
+  const res = await request(app)
+    .get("/api/geocode")
+    .query({ q: "x".repeat(301) })
+    .expect(400);
+  assert.equal(res.body.details[0].param, "q");
+});
@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const HazardHtml = require("../public/html");
+const HazardSearch = require("../public/search");
+
+const { html, raw, token } = HazardHtml;
+
+test("interpolated values are escaped", () => {
+  const firm = `<img src=x onerror="alert('x')"> & Co`;
+  assert.equal(
+    String(html`<strong title="${firm}">${firm}</strong>`),
+    '<strong title="&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt; &amp; Co">' +
+      "&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt; &amp; Co</strong>"
+  );
+});
+
+test("nested templates, raw markup and arrays are kept as markup", () => {
+  const tags = ["<a>", "b"].map((t) => html`<span>${t}</span>`);
+  assert.equal(
+    String(html`<div>${tags}${raw("<br/>")}</div>`),
+    "<div><span>&lt;a&gt;</span><span>b</span><br/></div>"
+  );
+});
+
+test("empty values render nothing but numbers render", () => {
+  assert.equal(String(html`${null}${undefined}${false}|${0}`), "|0");
+});
+
+test("search highlighting stays escaped inside a template", () => {
+  const marked = HazardSearch.highlight("<b>peanut</b> butter", "peanut");
+  assert.equal(
+    String(html`<small>${raw(marked)}</small>`),
+    "<small>&lt;b&gt;<mark>peanut</mark>&lt;/b&gt; butter</small>"
+  );
+});
+
+test("token keeps class names to safe characters", () => {
+  assert.equal(token("On-Going"), "on-going");
+  assert.equal(token('x" onclick="y'), "x-onclick-y");
+  assert.equal(token(null), "");
+});
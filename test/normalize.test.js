@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseReportDate, normalize } = require("../lib/normalize");
+const { assembleRecalls } = require("../lib/recallLoader");
+const { recall } = require("./fixtures/upstream");
+
+test("parseReportDate turns YYYYMMDD into an ISO timestamp", () => {
+  assert.equal(parseReportDate("20240115"), "2024-01-15T00:00:00.000Z");
+  assert.equal(parseReportDate("2024-01-15"), null);
+  assert.equal(parseReportDate(undefined), null);
+  assert.equal(parseReportDate("20241399"), null);
+});
+
+test("normalize maps an enforcement row to a unified record", () => {
+  const rec = normalize(
+    recall({
+      status: "On-Going",
+      termination_date: "20240301",
+      reason_for_recall: "Product contains undeclared peanut.",
+    }),
+    "Food"
+  );
+  assert.match(rec.id, /^r[0-9a-f]{16}$/);
+  assert.equal(rec.type, "Food");
+  assert.equal(rec.report_date, "2024-01-15T00:00:00.000Z");
+  assert.equal(rec.raw_report_date, "20240115");
+  assert.equal(rec.status, "Ongoing");
+  assert.equal(rec.raw_termination_date, "20240301");
+  assert.deepEqual(rec.hazard_categories, ["allergen"]);
+  assert.deepEqual(rec.allergens, ["peanut"]);
+  assert.deepEqual(rec.distribution_states, ["NY", "OH", "PA"]);
+  assert.equal(rec.original.recall_number, "F-0001-2024");
+});
+
+test("normalize falls back for missing fields", () => {
+  const rec = normalize(
+    { product_type: "Food", distribution_pattern: "Nationwide" },
+    "Food"
+  );
+  assert.equal(rec.product_description, "Food");
+  assert.equal(rec.address_1, "Nationwide");
+  assert.equal(rec.country, "USA");
+  assert.equal(rec.report_date, null);
+  assert.equal(rec.distribution_nationwide, true);
+  // nationwide means all 50 states plus DC, territories excluded
+  assert.equal(rec.distribution_states.length, 51);
+  assert.ok(rec.distribution_states.includes("AK"));
+  assert.ok(!rec.distribution_states.includes("PR"));
+});
+
+test("normalize gives the same row the same id every time", () => {
+  assert.equal(normalize(recall(), "Food").id, normalize(recall(), "Drug").id);
+  assert.notEqual(
+    normalize(recall(), "Food").id,
+    normalize(recall({ code_info: "Lot 2" }), "Food").id
+  );
+});
+
+test("assembleRecalls merges endpoints newest first and drops duplicates", () => {
+  const pages = [
+    {
+      type: "Food",
+      total: 3,
+      results: [
+        recall({ recall_number: "F-1", report_date: "20240110" }),
+        recall({ recall_number: "F-2", report_date: "20240101" }),
+        recall({ recall_number: "F-1", report_date: "20240110" }),
+      ],
+    },
+    {
+      type: "Drug",
+      total: 1,
+      results: [recall({ recall_number: "D-1", report_date: "20240105" })],
+    },
+  ];
+  const { total, results } = assembleRecalls(pages, { offset: 1, limit: 5 });
+  assert.equal(total, 3);
+  assert.deepEqual(
+    results.map((r) => r.recall_number),
+    ["D-1", "F-2"]
+  );
+});
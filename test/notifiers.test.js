@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { sendMail } = require("../lib/notifiers");
+const { createSmtp } = require("./fixtures/smtp");
+
+async function withSmtp(replies, fn) {
+  const smtp = createSmtp(replies);
+  await smtp.listen();
+  try {
+    await fn(smtp);
+  } finally {
+    await smtp.close();
+  }
+}
+
+function mail(port) {
+  return sendMail({
+    host: "127.0.0.1",
+    port,
+    from: "alerts@example.com",
+    to: ["pharmacy@example.com"],
+    subject: "New recalls",
+    text: "Line one\n.starts with a dot",
+    timeoutMs: 2000,
+  });
+}
+
+test("sendMail delivers a message", () =>
+  withSmtp({}, async (smtp) => {
+    await mail(smtp.port);
+    assert.equal(smtp.messages.length, 1);
+    assert.match(smtp.messages[0], /^Subject: New recalls$/m);
+    assert.match(smtp.messages[0], /\r\n\.\.starts with a dot$/);
+  }));
+
+test("sendMail accepts 251 for a forwarded recipient", () =>
+  withSmtp({ RCPT: "251 User not local; will forward" }, async (smtp) => {
+    await mail(smtp.port);
+    assert.equal(smtp.messages.length, 1);
+  }));
+
+test("sendMail rejects when a recipient is refused", () =>
+  withSmtp({ RCPT: "550 No such user" }, async (smtp) => {
+    await assert.rejects(
+      mail(smtp.port),
+      /RCPT TO pharmacy@example\.com failed/
+    );
+    assert.equal(smtp.messages.length, 0);
+  }));
@@ -0,0 +1,156 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  MAX_SKIP,
+  parseRetryAfter,
+  createOpenFdaClient,
+} = require("../lib/openFda");
+const { createUpstream, recall } = require("./fixtures/upstream");
+
+const upstream = createUpstream();
+
+test.before(() => upstream.listen());
+test.after(() => upstream.close());
+test.beforeEach(() => upstream.reset());
+
+function client(options = {}) {
+  return createOpenFdaClient({
+    timeoutMs: 200,
+    retryBaseMs: 10,
+    limits: { perMinute: 10000, perDay: 100000 },
+    ...options,
+  });
+}
+
+function foodUrl() {
+  return `${upstream.url}/food/enforcement.json`;
+}
+
+// `count` food rows, `perDay` of them on each report date going back from 2024-12-31
+function seedFood(count, perDay) {
+  const day = Date.UTC(2024, 11, 31);
+  for (let i = 0; i < count; i++) {
+    const date = new Date(day - Math.floor(i / perDay) * 86400000);
+    upstream.data.food.push(
+      recall({
+        recall_number: `F-${i}`,
+        report_date: date.toISOString().slice(0, 10).replace(/-/g, ""),
+      })
+    );
+  }
+}
+
+test("parseRetryAfter reads seconds and HTTP dates", () => {
+  assert.equal(parseRetryAfter("2"), 2000);
+  const ms = parseRetryAfter(new Date(Date.now() + 5000).toUTCString());
+  assert.ok(ms > 3000 && ms <= 5000);
+  assert.equal(parseRetryAfter(undefined), null);
+});
+
+test("fetchAll pages with limit and skip", async () => {
+  seedFood(25, 5);
+  const { results, total } = await client().fetchAll(
+    () => `${foodUrl()}?search=report_date:[20000101+TO+20991231]`,
+    20,
+    8
+  );
+  assert.equal(results.length, 20);
+  assert.equal(total, 25);
+  assert.deepEqual(
+    upstream.requests.map((r) => r.url.searchParams.get("skip")),
+    ["0", "8", "16"]
+  );
+  assert.equal(upstream.requests[2].url.searchParams.get("limit"), "4");
+});
+
+test("fetchAll treats 404 NOT_FOUND as no matches", async () => {
+  const { results, total } = await client().fetchAll(() => `${foodUrl()}?`);
+  assert.deepEqual(results, []);
+  assert.equal(total, 0);
+});
+
+test("fetchAll slices the date range to page past the skip ceiling", async () => {
+  seedFood(MAX_SKIP + 3000, 100);
+  const { results, total } = await client().fetchAll(
+    ({ to }) =>
+      `${foodUrl()}?search=report_date:[20000101+TO+${to || "20991231"}]`,
+    MAX_SKIP + 2000,
+    1000
+  );
+  assert.equal(results.length, MAX_SKIP + 2000);
+  assert.equal(total, MAX_SKIP + 3000);
+  assert.equal(
+    new Set(results.map((r) => r.recall_number)).size,
+    MAX_SKIP + 2000
+  );
+  assert.ok(
+    upstream.requests.every(
+      (r) => Number(r.url.searchParams.get("skip")) <= MAX_SKIP
+    )
+  );
+  assert.ok(
+    upstream.requests.some((r) =>
+      /TO[+ ]2024/.test(r.url.searchParams.get("search"))
+    )
+  );
+});
+
+test("a 429 pauses for Retry-After before retrying", async () => {
+  upstream.data.food.push(recall());
+  upstream.fail("food", { status: 429, retryAfter: 1 });
+  const start = Date.now();
+  const data = await client().fetchJson(`${foodUrl()}?limit=1`);
+  assert.equal(data.results.length, 1);
+  assert.ok(Date.now() - start >= 900, "waited for Retry-After");
+  assert.equal(upstream.requests.length, 2);
+});
+
+test("a Retry-After beyond maxWaitMs fails without waiting", async () => {
+  upstream.fail("food", { status: 429, retryAfter: 120 });
+  await assert.rejects(
+    client({ maxWaitMs: 1000 }).fetchJson(`${foodUrl()}?limit=1`),
+    (err) => err.status === 429
+  );
+  assert.equal(upstream.requests.length, 1);
+});
+
+test("other 4xx answers are not retried", async () => {
+  upstream.fail("food", { status: 400 });
+  await assert.rejects(
+    client().fetchJson(`${foodUrl()}?limit=1`),
+    (err) => err.status === 400
+  );
+  assert.equal(upstream.requests.length, 1);
+});
+
+test("5xx answers are retried with backoff", async () => {
+  upstream.data.food.push(recall());
+  upstream.fail("food", { status: 503 }, 2);
+  const data = await client().fetchJson(`${foodUrl()}?limit=1`);
+  assert.equal(data.results.length, 1);
+  assert.equal(upstream.requests.length, 3);
+});
+
+test("5xx answers fail once attempts run out", async () => {
+  upstream.fail("food", { status: 500 }, 3);
+  await assert.rejects(
+    client().fetchJson(`${foodUrl()}?limit=1`),
+    (err) => err.status === 500
+  );
+  assert.equal(upstream.requests.length, 3);
+});
+
+test("timeouts and malformed JSON are retried", async () => {
+  upstream.data.food.push(recall());
+  upstream.fail("food", { kind: "timeout" });
+  upstream.fail("food", { kind: "malformed" });
+  const data = await client().fetchJson(`${foodUrl()}?limit=1`);
+  assert.equal(data.results.length, 1);
+  assert.equal(upstream.requests.length, 3);
+});
+
+test("the API key is added to every request", async () => {
+  upstream.data.food.push(recall());
+  await client({ apiKey: "secret" }).fetchJson(`${foodUrl()}?limit=1`);
+  assert.equal(upstream.requests[0].url.searchParams.get("api_key"), "secret");
+});
@@ -0,0 +1,181 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const productCodes = require("../lib/productCodes");
+const HazardSearch = require("../public/search");
+const { normalize } = require("../lib/normalize");
+const { recall } = require("./fixtures/upstream");
+const { useTestApps } = require("./fixtures/app");
+
+const { ndcCandidates, ndcForms, upcDigits, upcForms, extractCodes } =
+  productCodes;
+
+const { upstream, newApp } = useTestApps();
+
+function drugRow(overrides) {
+  return recall({
+    recall_number: "D-1",
+    product_description:
+      "Trulicity (dulaglutide) injection, 0.75 mg/0.5 mL pen, NDC 0002-1433-80",
+    recalling_firm: "Eli Lilly and Company",
+    openfda: {
+      brand_name: ["TRULICITY"],
+      generic_name: ["DULAGLUTIDE"],
+      manufacturer_name: ["Eli Lilly and Company"],
+      product_ndc: ["0002-1433"],
+      package_ndc: ["0002-1433-80", "0002-1433-61"],
+      upc: ["0300021433801"],
+    },
+    ...overrides,
+  });
+}
+
+test("ndcCandidates reads 10- and 11-digit, package and product NDCs", () => {
+  assert.deepEqual(ndcCandidates("0002-1433-80"), ["00002-1433-80"]);
+  assert.deepEqual(ndcCandidates("00002143380"), ["00002-1433-80"]);
+  assert.deepEqual(ndcCandidates("50090-123-01"), ["50090-0123-01"]);
+  assert.deepEqual(ndcCandidates("0002-1433"), ["00002-1433"]);
+  assert.equal(ndcCandidates("0002143380").length, 3);
+  assert.deepEqual(ndcCandidates("002-1433-80"), []);
+  assert.deepEqual(ndcCandidates("0002-143-8"), []);
+  assert.deepEqual(ndcCandidates("lot 12"), []);
+
+  assert.deepEqual(ndcForms("00002-1433-80"), [
+    "00002-1433-80",
+    "0002-1433-80",
+  ]);
+});
+
+test("UPCs are read as digits and printed in their usual forms", () => {
+  assert.equal(upcDigits("0 12345 67890 5"), "012345678905");
+  assert.equal(upcDigits("12345"), null);
+  assert.deepEqual(upcForms("012345678905"), [
+    "012345678905",
+    "0012345678905",
+    "00012345678905",
+    "0 12345 67890 5",
+  ]);
+  assert.deepEqual(upcForms("4006381333931"), [
+    "4006381333931",
+    "04006381333931",
+  ]);
+});
+
+test("extractCodes merges openfda codes with those in the label text", () => {
+  const codes = extractCodes({
+    openfda: {
+      package_ndc: ["0002-1433-80"],
+      product_ndc: ["0002-1433", "0002-8215"],
+      upc: ["0300021433801"],
+    },
+    product_description:
+      "NDC 0002-1433-80 and NDC 12345-678-90, UPC 0 12345 67890 5",
+    code_info: "Lot 2024-01-15",
+  });
+  assert.deepEqual(codes.ndc, ["0002-1433-80", "0002-8215", "12345-678-90"]);
+  assert.deepEqual(codes.upc, ["0300021433801", "012345678905"]);
+
+  // codes need their label: no NDC or UPC mentioned, nothing extracted
+  assert.deepEqual(
+    extractCodes({ product_description: "Item 12345-678-90, 012345678905" }),
+    { ndc: [], upc: [] }
+  );
+});
+
+test("normalize keeps the drug names and product codes", () => {
+  const rec = normalize(drugRow(), "Drug");
+  assert.deepEqual(rec.brand_names, ["TRULICITY"]);
+  assert.deepEqual(rec.generic_names, ["DULAGLUTIDE"]);
+  assert.deepEqual(rec.manufacturer_names, ["Eli Lilly and Company"]);
+  assert.deepEqual(rec.ndc_codes, ["0002-1433-80", "0002-1433-61"]);
+  assert.deepEqual(rec.upc_codes, ["0300021433801"]);
+
+  const food = normalize(recall(), "Food");
+  assert.deepEqual(food.brand_names, []);
+  assert.deepEqual(food.ndc_codes, []);
+});
+
+test("drug names and codes are searchable by field", () => {
+  const records = [normalize(drugRow(), "Drug"), normalize(recall(), "Food")];
+  const types = (query) =>
+    HazardSearch.search(records, query).map((r) => r.type);
+  assert.deepEqual(types("brand:trulicity"), ["Drug"]);
+  assert.deepEqual(types("generic:dulaglut"), ["Drug"]);
+  assert.deepEqual(types('ndc:"0002-1433-61"'), ["Drug"]);
+  assert.deepEqual(types("upc:0300021433801"), ["Drug"]);
+  assert.deepEqual(types("mfr:lilly"), ["Drug"]);
+});
+
+test("GET /api/lookup finds recalls by NDC in any printed form", async () => {
+  upstream.data.drug.push(
+    drugRow(),
+    recall({
+      recall_number: "D-2",
+      product_description: "Other tablets, NDC 12345-678-90",
+    })
+  );
+  const { app } = newApp();
+
+  const res = await request(app)
+    .get("/api/lookup")
+    .query({ ndc: "00002143380" })
+    .expect(200);
+  assert.equal(res.body.ndc, "00002143380");
+  assert.equal(res.body.count, 1);
+  assert.equal(res.body.results[0].recall_number, "D-1");
+  assert.deepEqual(res.body.results[0].brand_names, ["TRULICITY"]);
+
+  const search = upstream.requests.find((r) => r.key === "drug").url
+    .searchParams;
+  assert.match(search.get("search"), /openfda\.package_ndc:"0002-1433-80"/);
+  assert.match(search.get("search"), /product_description:"00002-1433-80"/);
+
+  const product = await request(app)
+    .get("/api/lookup")
+    .query({ ndc: "0002-1433" })
+    .expect(200);
+  assert.equal(product.body.count, 1);
+
+  const none = await request(app)
+    .get("/api/lookup")
+    .query({ ndc: "99999-9999-99" })
+    .expect(200);
+  assert.deepEqual(none.body.results, []);
+});
+
+test("GET /api/lookup finds recalls by UPC", async () => {
+  upstream.data.food.push(
+    recall({
+      recall_number: "F-1",
+      product_description: "Granola bars, 12 oz, UPC 0 12345 67890 5",
+    })
+  );
+  const { app } = newApp();
+  const res = await request(app)
+    .get("/api/lookup")
+    .query({ upc: "00012345678905" })
+    .expect(200);
+  assert.deepEqual(
+    res.body.results.map((r) => r.recall_number),
+    ["F-1"]
+  );
+});
+
+test("GET /api/lookup validates the code", async () => {
+  const { app } = newApp();
+  const missing = await request(app).get("/api/lookup").expect(400);
+  assert.equal(missing.body.details[0].param, "ndc");
+  await request(app)
+    .get("/api/lookup")
+    .query({ ndc: "0002-1433-80", upc: "012345678905" })
+    .expect(400);
+  const bad = await request(app)
+    .get("/api/lookup")
+    .query({ upc: "123" })
+    .expect(400);
+  assert.equal(bad.body.details[0].param, "upc");
+  await request(app)
+    .get("/api/lookup")
+    .query({ ndc: "0002-1433-80", limit: "0" })
+    .expect(400);
+});
@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createRecallCache } = require("../lib/recallCache");
+
+const dirs = [];
+test.after(() =>
+  dirs.forEach((d) => fs.rmSync(d, { recursive: true, force: true }))
+);
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hazard-atlas-cache-"));
+  dirs.push(dir);
+  return path.join(dir, "recall-cache.json");
+}
+
+function rows(n) {
+  return { results: Array.from({ length: n }, (_, i) => ({ id: `r${i}` })) };
+}
+
+test("overlapping saves land the newest state on disk", async () => {
+  const file = tempFile();
+  const cache = createRecallCache({ file });
+  for (let i = 1; i <= 5; i++) cache.set(`q${i}`, rows(i));
+  await cache.save();
+
+  const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+  assert.deepEqual(Object.keys(saved.entries), ["q1", "q2", "q3", "q4", "q5"]);
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ["recall-cache.json"]);
+
+  const reloaded = createRecallCache({ file });
+  reloaded.load();
+  assert.equal(reloaded.peek("q5").results.length, 5);
+});
+
+test("a partial pull is fresh only for the partial TTL", async () => {
+  const cache = createRecallCache({ ttlMs: 60000, partialTtlMs: 1000 });
+  const ago = (ms) => new Date(Date.now() - ms).toISOString();
+
+  const complete = cache.set("full", rows(3));
+  const partial = cache.set("partial", {
+    ...rows(2),
+    errors: [{ endpoint: "drug", reason: "HTTP 500" }],
+  });
+  assert.ok(cache.isFresh(complete));
+  assert.ok(cache.isFresh(partial));
+
+  complete.fetched_at = ago(5000);
+  partial.fetched_at = ago(5000);
+  assert.ok(cache.isFresh(complete));
+  assert.ok(!cache.isFresh(partial));
+
+  // get() pulls again once the partial entry expires
+  let loads = 0;
+  const { entry, cached } = await cache.get("partial", () => {
+    loads++;
+    return rows(4);
+  });
+  assert.equal(loads, 1);
+  assert.equal(cached, false);
+  assert.equal(entry.results.length, 4);
+  assert.equal(entry.errors, undefined);
+});
+
+test("only persisted keys are saved and the rest is capped by size", async () => {
+  const file = tempFile();
+  const row = JSON.stringify(rows(1).results).length;
+  const cache = createRecallCache({
+    file,
+    maxBytes: 3 * row,
+    persist: (key) => key === "default",
+  });
+  cache.set("default", rows(5));
+  cache.set("q1", rows(1));
+  cache.set("q2", rows(1));
+  cache.set("q3", rows(1));
+  assert.ok(cache.peek("q1"));
+  cache.set("q4", rows(2));
+  await cache.save();
+
+  // q1 and q2 were the oldest; the persisted entry never counts or drops
+  assert.equal(cache.peek("q1"), null);
+  assert.equal(cache.peek("q2"), null);
+  assert.ok(cache.peek("q3") && cache.peek("q4") && cache.peek("default"));
+  const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+  assert.deepEqual(Object.keys(saved.entries), ["default"]);
+});
@@ -0,0 +1,221 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { recall } = require("./fixtures/upstream");
+const { useTestApps } = require("./fixtures/app");
+
+const { upstream, newApp } = useTestApps();
+
+// openFDA requests only; the geocoder also looks up the seeded firms' addresses
+function openFdaRequests() {
+  return upstream.requests.filter((r) => r.key && r.key !== "nominatim");
+}
+
+function seed() {
+  upstream.data.food.push(
+    recall({ recall_number: "F-1", report_date: "20240110" }),
+    recall({ recall_number: "F-2", report_date: "20240102" })
+  );
+  upstream.data.drug.push(
+    recall({ recall_number: "D-1", report_date: "20240105" })
+  );
+  upstream.data.device.push(
+    recall({ recall_number: "Z-1", report_date: "20240108" })
+  );
+}
+
+// Every endpoint answers 500 to each of its three attempts, plus the food
+// connectivity check made after all endpoints failed
+function failEverything() {
+  upstream.fail("food", { status: 500 }, 4);
+  upstream.fail("drug", { status: 500 }, 3);
+  upstream.fail("device", { status: 500 }, 3);
+}
+
+test("GET /api/recalls merges every endpoint newest first", async () => {
+  seed();
+  const { app } = newApp();
+  const res = await request(app).get("/api/recalls").expect(200);
+  assert.equal(res.body.total, 4);
+  assert.equal(res.body.cached, false);
+  assert.deepEqual(
+    res.body.results.map((r) => [r.type, r.recall_number]),
+    [
+      ["Food", "F-1"],
+      ["Device", "Z-1"],
+      ["Drug", "D-1"],
+      ["Food", "F-2"],
+    ]
+  );
+
+  const again = await request(app).get("/api/recalls").expect(200);
+  assert.equal(again.body.cached, true);
+  assert.equal(openFdaRequests().length, 3);
+});
+
+test("GET /api/recalls passes filters to openFDA", async () => {
+  seed();
+  const { app } = newApp();
+  await request(app)
+    .get("/api/recalls?type=food&from=2024-01-01&to=2024-01-31&limit=1")
+    .expect(200);
+  assert.equal(openFdaRequests().length, 1);
+  const url = openFdaRequests()[0].url;
+  assert.equal(url.pathname, "/food/enforcement.json");
+  assert.match(url.searchParams.get("search"), /20240101[+ ]TO[+ ]20240131/);
+  assert.equal(url.searchParams.get("limit"), "1");
+});
+
+test("classification, state and text clauses narrow the upstream rows", async () => {
+  upstream.data.food.push(
+    recall({ recall_number: "F-1", classification: "Class I" }),
+    recall({ recall_number: "F-2", classification: "Class II", state: "PA" }),
+    recall({
+      recall_number: "F-3",
+      classification: "Class II",
+      reason_for_recall: "Potential Listeria contamination.",
+    })
+  );
+  const { app } = newApp();
+  const ids = async (query) =>
+    (
+      await request(app).get("/api/recalls").query(query).expect(200)
+    ).body.results.map((r) => r.recall_number);
+  assert.deepEqual(await ids({ type: "food", classification: "II" }), [
+    "F-2",
+    "F-3",
+  ]);
+  assert.deepEqual(await ids({ type: "food", state: "PA,NY" }), ["F-2"]);
+  assert.deepEqual(await ids({ type: "food", q: "listeria" }), ["F-3"]);
+});
+
+test("GET /api/recalls rejects invalid parameters", async () => {
+  const { app } = newApp();
+  const res = await request(app)
+    .get("/api/recalls?type=toys&limit=abc")
+    .expect(400);
+  assert.equal(res.body.error, "Invalid query parameters");
+  assert.deepEqual(res.body.details.map((d) => d.param).sort(), [
+    "limit",
+    "type",
+  ]);
+  assert.equal(openFdaRequests().length, 0);
+});
+
+test("a failing endpoint is reported alongside the others' results", async () => {
+  seed();
+  upstream.fail("drug", { status: 500 }, 3);
+  const { app } = newApp();
+  const res = await request(app).get("/api/recalls").expect(200);
+  assert.deepEqual(
+    res.body.results.map((r) => r.recall_number),
+    ["F-1", "Z-1", "F-2"]
+  );
+  assert.equal(res.body.errors.length, 1);
+  assert.equal(res.body.errors[0].endpoint, "drug");
+});
+
+test("rate limiting on one endpoint is waited out", async () => {
+  seed();
+  upstream.fail("food", { status: 429, retryAfter: 1 });
+  const { app } = newApp();
+  const res = await request(app).get("/api/recalls").expect(200);
+  assert.equal(res.body.total, 4);
+  assert.equal((res.body.errors || []).length, 0);
+});
+
+test("502 with per-endpoint details when every endpoint fails", async () => {
+  failEverything();
+  const { app } = newApp();
+  const res = await request(app).get("/api/recalls").expect(502);
+  assert.equal(res.body.error, "All openFDA endpoints failed");
+  assert.deepEqual(
+    res.body.details.map((d) => d.endpoint),
+    ["food", "drug", "device"]
+  );
+  assert.ok(res.body.request_id);
+  assert.equal(res.body.stack, undefined);
+});
+
+test("a stale cache entry is served when openFDA fails", async () => {
+  seed();
+  const { app } = newApp({ RECALL_CACHE_TTL_MINUTES: "0.0001" });
+  await request(app).get("/api/recalls").expect(200);
+  await new Promise((r) => setTimeout(r, 20));
+
+  failEverything();
+  const res = await request(app).get("/api/recalls").expect(200);
+  assert.equal(res.body.stale, true);
+  assert.equal(res.body.total, 4);
+  assert.equal(res.body.errors.length, 3);
+});
+
+test("request IDs are echoed and forwarded to openFDA", async () => {
+  seed();
+  const { app } = newApp();
+  const res = await request(app)
+    .get("/api/recalls?type=drug")
+    .set("X-Request-Id", "test-123")
+    .expect(200);
+  assert.equal(res.headers["x-request-id"], "test-123");
+  assert.equal(openFdaRequests()[0].headers["x-request-id"], "test-123");
+
+  const generated = await request(app).get("/healthz").expect(200);
+  assert.match(generated.headers["x-request-id"], /^[0-9a-f-]{36}$/);
+});
+
+test("GET /api/geocode resolves through Nominatim and caches", async () => {
+  upstream.places.set("Columbus, OH", {
+    lat: 39.96,
+    lon: -83,
+    addresstype: "city",
+  });
+  const { app } = newApp();
+  const res = await request(app)
+    .get("/api/geocode")
+    .query({ q: "Columbus, OH" })
+    .expect(200);
+  assert.deepEqual(res.body.result, {
+    lat: 39.96,
+    lon: -83,
+    precision: "city",
+  });
+  await request(app).get("/api/geocode").query({ q: "Columbus, OH" });
+  assert.equal(
+    upstream.requests.filter(
+      (r) => r.url.searchParams.get("q") === "Columbus, OH"
+    ).length,
+    1
+  );
+
+  const miss = await request(app)
+    .get("/api/geocode")
+    .query({ q: "Nowhere" })
+    .expect(200);
+  assert.equal(miss.body.result, null);
+  await request(app).get("/api/geocode").expect(400);
+});
+
+test("/readyz reports not ready until the default query is cached", async () => {
+  seed();
+  const { app } = newApp();
+  const before = await request(app).get("/readyz").expect(503);
+  assert.equal(before.body.checks.cache.ok, false);
+  assert.equal(before.body.checks.openfda.ok, true);
+
+  await request(app).get("/api/recalls").expect(200);
+  const after = await request(app).get("/readyz").expect(200);
+  assert.equal(after.body.status, "ready");
+});
+
+test("/metrics exposes upstream and cache metrics", async () => {
+  seed();
+  const { app } = newApp();
+  await request(app).get("/api/recalls").expect(200);
+  const res = await request(app).get("/metrics").expect(200);
+  assert.match(
+    res.text,
+    /upstream_request_duration_seconds_count\{upstream="openfda",endpoint="food",outcome="ok"\} 1/
+  );
+  assert.match(res.text, /recall_cache_lookups_total\{result="miss"\} 1/);
+});
@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { trustProxy } = require("../lib/security");
+const { useTestApps } = require("./fixtures/app");
+
+const { newApp } = useTestApps();
+
+test("pages and API responses carry the security headers", async () => {
+  const { app } = newApp();
+  for (const path of ["/", "/healthz"]) {
+    const res = await request(app).get(path).expect(200);
+    const csp = res.headers["content-security-policy"];
+    assert.match(csp, /default-src 'self'/);
+    assert.match(csp, /script-src 'self' https:\/\/unpkg\.com;/);
+    assert.match(csp, /object-src 'none'/);
+    assert.match(csp, /frame-ancestors 'none'/);
+    assert.equal(res.headers["x-content-type-options"], "nosniff");
+    assert.equal(res.headers["x-frame-options"], "DENY");
+    assert.equal(res.headers["x-powered-by"], undefined);
+    assert.equal(res.headers["strict-transport-security"], undefined);
+  }
+});
+
+test("HSTS is sent for HTTPS requests seen through a trusted proxy", async () => {
+  const { app } = newApp({ TRUST_PROXY: "1" });
+  const res = await request(app)
+    .get("/healthz")
+    .set("X-Forwarded-Proto", "https")
+    .expect(200);
+  assert.match(res.headers["strict-transport-security"], /max-age=\d+/);
+});
+
+test("TRUST_PROXY parses hop counts, booleans and addresses", async () => {
+  assert.equal(trustProxy({}), false);
+  assert.equal(trustProxy({ TRUST_PROXY: "" }), false);
+  assert.equal(trustProxy({ TRUST_PROXY: "false" }), false);
+  assert.equal(trustProxy({ TRUST_PROXY: "true" }), true);
+  assert.equal(trustProxy({ TRUST_PROXY: "2" }), 2);
+  assert.equal(trustProxy({ TRUST_PROXY: "loopback" }), "loopback");
+
+  const { app } = newApp({ TRUST_PROXY: "false" });
+  const res = await request(app)
+    .get("/healthz")
+    .set("X-Forwarded-Proto", "https")
+    .expect(200);
+  assert.equal(res.headers["strict-transport-security"], undefined);
+});
+
+test("cross-origin requests get no CORS headers by default", async () => {
+  const { app } = newApp();
+  const res = await request(app)
+    .get("/healthz")
+    .set("Origin", "https://evil.example")
+    .expect(200);
+  assert.equal(res.headers["access-control-allow-origin"], undefined);
+});
+
+test("CORS_ORIGINS allows the listed origins only", async () => {
+  const { app } = newApp({
+    CORS_ORIGINS: "https://dashboard.example, https://ops.example/",
+  });
+  const allowed = await request(app)
+    .options("/api/watchlists")
+    .set("Origin", "https://ops.example")
+    .set("Access-Control-Request-Method", "POST")
+    .expect(204);
+  assert.equal(
+    allowed.headers["access-control-allow-origin"],
+    "https://ops.example"
+  );
+
+  const denied = await request(app)
+    .get("/healthz")
+    .set("Origin", "https://evil.example")
+    .expect(200);
+  assert.equal(denied.headers["access-control-allow-origin"], undefined);
+});